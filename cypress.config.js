@@ -1,10 +1,23 @@
+require("dotenv").config();
 const { defineConfig } = require("cypress");
+const { plugin: cypressGrepPlugin } = require("@cypress/grep/plugin");
+const { startMockApp } = require("./mock-app/server");
+const {
+  loadEnvironment,
+  applyEnvironment,
+} = require("./cypress/config/environments");
+const { registerTasks } = require("./cypress/plugins/tasks");
+const { multiplexEvents } = require("./cypress/plugins/events");
+const { registerReporting } = require("./cypress/plugins/reporting");
+const { registerFlakyDetection } = require("./cypress/plugins/flaky");
+const { registerSelectorDrift } = require("./cypress/plugins/selectorDrift");
+const { registerVisualSpecs } = require("./cypress/plugins/visualDiff");
 
 module.exports = defineConfig({
   // Project ID for Cypress Dashboard (optional)
   projectId: "your_project_id",
 
-  // Timeouts
+  // Timeouts (defaults; the selected environment profile overrides them)
   defaultCommandTimeout: 5000,
   requestTimeout: 5000,
   responseTimeout: 5000,
@@ -37,21 +50,67 @@ module.exports = defineConfig({
   downloadsFolder: "cypress/downloads",
 
   // Reporter configuration
-  reporter: "mochawesome",
+  // mochawesome (JSON/HTML) and JUnit XML for CI from the same run; the JUnit
+  // files get spec paths and screenshot attachments after the run
+  // (see cypress/plugins/reporting.js)
+  reporter: "cypress-multi-reporters",
   reporterOptions: {
-    reportDir: "cypress/reports/mochawesome",
-    overwrite: false,
-    html: true,
-    json: true,
-    timestamp: "yyyy-mm-dd_HH-MM-ss",
+    reporterEnabled: "mochawesome, mocha-junit-reporter",
+    mochawesomeReporterOptions: {
+      reportDir: "cypress/reports/mochawesome",
+      overwrite: false,
+      html: true,
+      json: true,
+      timestamp: "yyyy-mm-dd_HH-MM-ss",
+    },
+    mochaJunitReporterReporterOptions: {
+      mochaFile: "cypress/reports/junit/results-[hash].xml",
+      testsuitesTitle: "Cypress",
+      includePending: true,
+    },
   },
 
   // Environment variables
+  // apiUrl, apiTimeout and credentials are filled in from the environment
+  // profile selected with TEST_ENV (see cypress/config/environments.js)
   env: {
-    baseUrl: "http://localhost:3000",
-    apiUrl: "http://localhost:3000/api",
-    apiTimeout: 10000,
     hideCredentials: true,
+    // Defaults for cy.compareSnapshot: per-pixel color tolerance (0-1) and the
+    // share of pixels allowed to differ before a snapshot counts as changed
+    visual: {
+      threshold: 0.1,
+      maxDiffRatio: 0.001,
+    },
+    // Uncaught app exceptions that never fail a test: message substrings or
+    // "/regex/flags" strings (see cypress/support/exceptions.js)
+    allowedExceptions: [
+      "ResizeObserver loop limit exceeded",
+      "ResizeObserver loop completed with undelivered notifications",
+    ],
+    // Defaults for cy.checkA11y: violations at or above this impact fail the test
+    a11y: {
+      minImpact: "serious",
+    },
+    // Tag filtering with @cypress/grep: pass grepTags (e.g. "@smoke",
+    // "@regression+-@a11y") on the CLI or as CYPRESS_grepTags. Specs without a
+    // matching test are left out of the run and filtered tests are not listed.
+    grepFilterSpecs: true,
+    grepOmitFiltered: true,
+    // Flaky test detection (see cypress/plugins/flaky.js): tests at or above
+    // this flakiness score over at least minRuns recorded runs are reported,
+    // and quarantined when quarantine is on (or QUARANTINE_FLAKY=true)
+    flaky: {
+      threshold: 0.3,
+      minRuns: 3,
+      historySize: 20,
+      quarantine: false,
+    },
+    // Self-healing Locators (see cypress/plugins/selectorDrift.js): a fallback
+    // match is logged and reported as selector drift; with strict on (or
+    // STRICT_SELECTORS=true) it fails the test instead
+    selectorHealing: {
+      strict: false,
+    },
   },
 
   // Browser configuration
@@ -94,20 +153,54 @@ module.exports = defineConfig({
   // E2E testing configuration
   e2e: {
     testIsolation: true,
-    baseUrl: "https://www.saucedemo.com",
+    // baseUrl comes from the environment profile selected with TEST_ENV
     specPattern: "cypress/e2e/**/*.cy.{js,jsx,ts,tsx}",
     supportFile: "cypress/support/e2e.js",
     excludeSpecPattern: "*.hot-update.js",
 
     // Setup node events
-    setupNodeEvents(on, config) {
-      // Example: Register plugins here
-      // on('task', {
-      //   log(message) {
-      //     console.log(message);
-      //     return null;
-      //   }
-      // });
+    async setupNodeEvents(cypressOn, config) {
+      // Several plugins below listen to the same run events
+      const on = multiplexEvents(cypressOn);
+
+      // Resolve the environment profile; throws on an unknown profile or a
+      // missing required variable so the run stops before any spec starts
+      const environment = loadEnvironment(
+        config.env.TEST_ENV || process.env.TEST_ENV
+      );
+      applyEnvironment(config, environment);
+
+      // The local profile serves the bundled Swag Labs stand-in; MOCK_APP_PORT
+      // overrides the profile's port (0 picks a free one, as parallel workers do)
+      if (environment.startMockApp) {
+        const mockApp = await startMockApp({
+          port:
+            process.env.MOCK_APP_PORT !== undefined
+              ? Number(process.env.MOCK_APP_PORT)
+              : Number(new URL(environment.baseUrl).port) || undefined,
+        });
+        config.baseUrl = mockApp.url;
+        config.env.apiUrl = `${mockApp.url}/api`;
+        on("after:run", () => mockApp.close());
+      }
+
+      // cy.task handlers (see cypress/plugins/tasks and docs/TASKS.md)
+      registerTasks(on, config);
+
+      // Merged mochawesome report and run dashboard after `cypress run`
+      registerReporting(on, config);
+
+      // Flaky history, end-of-run summary and the auto-quarantine list
+      registerFlakyDetection(on, config);
+
+      // Strict selector setting and the selector drift summary
+      registerSelectorDrift(on, config);
+
+      // Visual specs need recorded baselines; they run only with VISUAL=true
+      registerVisualSpecs(config);
+
+      // Drop specs with no test matching grep/grepTags before any spec loads
+      cypressGrepPlugin(config);
 
       // Return the modified config
       return config;
@@ -0,0 +1,41 @@
+// client.js - Request helpers for the Swag Labs API
+// URLs are built from Cypress.env("apiUrl") and requests time out after
+// Cypress.env("apiTimeout"); both come from the TEST_ENV profile.
+
+// Absolute URL of an API path, e.g. apiUrl("/products") -> ".../api/products"
+export function apiUrl(path = "") {
+  return `${Cypress.env("apiUrl")}${path}`;
+}
+
+// cy.request against the API; options are passed through (body,
+// failOnStatusCode, headers, ...)
+export function apiRequest(method, path, options = {}) {
+  return cy.request({
+    method,
+    url: apiUrl(path),
+    timeout: Cypress.env("apiTimeout"),
+    ...options,
+  });
+}
+
+export function getHealth() {
+  return apiRequest("GET", "/health");
+}
+
+export function getProducts() {
+  return apiRequest("GET", "/products");
+}
+
+// Pass { failOnStatusCode: false } to inspect 404 responses
+export function getProduct(id, options = {}) {
+  return apiRequest("GET", `/products/${id}`, options);
+}
+
+export function getOrders() {
+  return apiRequest("GET", "/orders");
+}
+
+// Place an order as { username, items: [productId, ...] }
+export function createOrder(order) {
+  return apiRequest("POST", "/orders", { body: order });
+}
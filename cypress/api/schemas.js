@@ -0,0 +1,77 @@
+// schemas.js - JSON schemas for API responses and helpers to validate them
+
+import Ajv from "ajv";
+
+const product = {
+  type: "object",
+  required: ["id", "name", "description", "price", "image"],
+  properties: {
+    id: { type: "integer", minimum: 0 },
+    name: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    price: { type: "number", exclusiveMinimum: 0 },
+    image: { type: "string", pattern: "^/" },
+  },
+  additionalProperties: false,
+};
+
+const order = {
+  type: "object",
+  required: ["id", "username", "items", "createdAt"],
+  properties: {
+    id: { type: "integer", minimum: 1 },
+    username: { type: ["string", "null"] },
+    items: { type: "array", items: { type: "integer", minimum: 0 } },
+    createdAt: { type: "string", minLength: 1 },
+  },
+  additionalProperties: false,
+};
+
+export const schemas = {
+  health: {
+    type: "object",
+    required: ["status"],
+    properties: { status: { const: "ok" } },
+  },
+  product,
+  productList: { type: "array", items: product },
+  order,
+  orderList: { type: "array", items: order },
+  error: {
+    type: "object",
+    required: ["error"],
+    properties: { error: { type: "string", minLength: 1 } },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+// Validate data against a named schema; returns readable error strings
+// ("/0/price must be number"), empty when the data is valid
+export function validateSchema(data, name) {
+  const validate = validators[name];
+  if (!validate) {
+    throw new Error(
+      `Unknown schema "${name}", expected one of: ${Object.keys(schemas).join(
+        ", "
+      )}`
+    );
+  }
+  return validate(data)
+    ? []
+    : validate.errors.map(
+        (error) => `${error.instancePath || "(root)"} ${error.message}`
+      );
+}
+
+// Assertion callback for .should() / .then(), e.g.
+// getProducts().its("body").should(matchesSchema("productList"))
+export function matchesSchema(name) {
+  return (data) => {
+    expect(validateSchema(data, name), `response matches "${name}" schema`).to
+      .be.empty;
+  };
+}
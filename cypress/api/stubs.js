@@ -0,0 +1,89 @@
+// stubs.js - cy.intercept helpers for the API routes the storefront calls
+// Each helper registers the intercept under the route name, so tests can
+// cy.wait("@products") for it.
+
+import { apiUrl } from "./client";
+
+// Matches REQUEST_TIMEOUT in mock-app/public/app.js: slower calls are aborted
+export const CLIENT_REQUEST_TIMEOUT = 3000;
+
+export const ROUTES = {
+  products: { method: "GET", path: "/products" },
+  product: { method: "GET", path: "/products/*" },
+  orders: { method: "GET", path: "/orders" },
+  createOrder: { method: "POST", path: "/orders" },
+};
+
+const FAILURES = {
+  // HTTP error response, 500 unless options.statusCode says otherwise
+  serverError: ({ statusCode = 500, message = "Internal Server Error" }) => ({
+    statusCode,
+    body: { error: message },
+  }),
+
+  // Connection dropped before any response
+  networkError: () => ({ forceNetworkError: true }),
+
+  // Held past the client's request timeout, so the client gives up
+  timeout: ({ delay = CLIENT_REQUEST_TIMEOUT + 1000 }) => ({
+    statusCode: 200,
+    body: {},
+    delay,
+  }),
+
+  // The real response (or options.fixture), delivered late
+  slow: ({ delay = 1500, fixture }) =>
+    fixture
+      ? { fixture, delay }
+      : (req) => {
+          req.on("response", (res) => {
+            res.setDelay(delay);
+          });
+        },
+};
+
+function getRoute(route) {
+  const definition = ROUTES[route];
+  if (!definition) {
+    throw new Error(
+      `Unknown API route "${route}", expected one of: ${Object.keys(
+        ROUTES
+      ).join(", ")}`
+    );
+  }
+  return definition;
+}
+
+// Intercept a route by name. `response` is a fixture path
+// ("api/products.json"), a cy.intercept StaticResponse or a route handler;
+// omit it to only spy on the route.
+export function stubRoute(route, response) {
+  const { method, path } = getRoute(route);
+  const handler =
+    typeof response === "string" ? { fixture: response } : response;
+
+  return cy.intercept(method, apiUrl(path), handler).as(route);
+}
+
+// Stub several routes from one map, e.g. a fixture of
+// { "products": "api/products.json", "createOrder": { "statusCode": 201, ... } }
+export function stubRoutes(stubs) {
+  Object.entries(stubs).forEach(([route, response]) => {
+    stubRoute(route, response);
+  });
+}
+
+// Make a route fail: "serverError", "networkError", "timeout" or "slow".
+// Options: statusCode and message (serverError), delay (timeout, slow) and
+// fixture (slow).
+export function injectFailure(route, type, options = {}) {
+  const failure = FAILURES[type];
+  if (!failure) {
+    throw new Error(
+      `Unknown failure "${type}", expected one of: ${Object.keys(FAILURES).join(
+        ", "
+      )}`
+    );
+  }
+  return stubRoute(route, failure(options));
+}
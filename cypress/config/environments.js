@@ -0,0 +1,153 @@
+// environments.js - Named environment profiles for cypress.config.js
+// Pick one with TEST_ENV: `--env TEST_ENV=staging` wins over the shell or
+// .env file; the default is "local". BASE_URL and API_URL override the profile's URLs.
+// Credentials always come from the environment, never from committed files.
+
+const LIVE_URL = "https://www.saucedemo.com";
+
+const profiles = {
+  // Bundled mock-app on this machine, no network required
+  local: {
+    baseUrl: "http://localhost:3000",
+    apiUrl: "http://localhost:3000/api",
+    startMockApp: true,
+    timeouts: {
+      defaultCommandTimeout: 5000,
+      pageLoadTimeout: 30000,
+      requestTimeout: 5000,
+      responseTimeout: 5000,
+    },
+    apiTimeout: 10000,
+    // Upper bounds in ms for cy.measure actions and page loads. cy.measure times
+    // the Cypress commands around the action, so its budgets include the command
+    // queue and command log (a few hundred ms on a single-core CI machine);
+    // pageLoad comes from the browser's Navigation Timing and has no overhead.
+    performanceBudgets: {
+      login: 2000,
+      sort: 1000,
+      addToCart: 1000,
+      pageLoad: 2000,
+    },
+  },
+
+  // Shared deployment; slower network, more generous timeouts
+  staging: {
+    baseUrl: LIVE_URL,
+    apiUrl: `${LIVE_URL}/api`,
+    startMockApp: false,
+    timeouts: {
+      defaultCommandTimeout: 10000,
+      pageLoadTimeout: 60000,
+      requestTimeout: 10000,
+      responseTimeout: 15000,
+    },
+    apiTimeout: 20000,
+    // Upper bounds in ms for cy.measure actions and page loads
+    performanceBudgets: {
+      login: 3000,
+      sort: 1000,
+      addToCart: 1000,
+      pageLoad: 5000,
+    },
+  },
+
+  // Production-like: the public site with the budgets users get
+  prod: {
+    baseUrl: LIVE_URL,
+    apiUrl: `${LIVE_URL}/api`,
+    startMockApp: false,
+    timeouts: {
+      defaultCommandTimeout: 8000,
+      pageLoadTimeout: 30000,
+      requestTimeout: 8000,
+      responseTimeout: 10000,
+    },
+    apiTimeout: 15000,
+    // Upper bounds in ms for cy.measure actions and page loads
+    performanceBudgets: {
+      login: 2000,
+      sort: 800,
+      addToCart: 800,
+      pageLoad: 4000,
+    },
+  },
+};
+
+const DEFAULT_PROFILE = "local";
+
+// Variables every profile needs; see .env.example
+const REQUIRED_VARIABLES = ["SWAG_LABS_USERNAME", "SWAG_LABS_PASSWORD"];
+
+/**
+ * Throw if any required variable is missing or empty
+ * @param {string[]} names - Variable names
+ * @param {object} env - Environment to read (default: process.env)
+ */
+function requireVariables(names, env = process.env) {
+  const missing = names.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required environment variable(s): ${missing.join(", ")}. ` +
+        "Copy .env.example to .env and fill it in, or export them before running Cypress."
+    );
+  }
+}
+
+/**
+ * Resolve a named profile into the values cypress.config.js applies
+ * @param {string} name - Profile name (default: "local")
+ * @param {object} env - Environment to read (default: process.env)
+ * @returns {object} Profile with its name, URL overrides and credentials applied
+ */
+function loadEnvironment(name = DEFAULT_PROFILE, env = process.env) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown TEST_ENV "${name}". Available profiles: ${Object.keys(
+        profiles
+      ).join(", ")}`
+    );
+  }
+
+  requireVariables(REQUIRED_VARIABLES, env);
+
+  return {
+    ...profile,
+    name,
+    baseUrl: env.BASE_URL || profile.baseUrl,
+    apiUrl: env.API_URL || profile.apiUrl,
+    credentials: {
+      username: env.SWAG_LABS_USERNAME,
+      password: env.SWAG_LABS_PASSWORD,
+    },
+  };
+}
+
+/**
+ * Apply a resolved profile to the Cypress config object
+ * @param {object} config - Config passed to setupNodeEvents
+ * @param {object} environment - Result of loadEnvironment()
+ * @returns {object} The same config, updated
+ */
+function applyEnvironment(config, environment) {
+  Object.assign(config, environment.timeouts);
+  config.baseUrl = environment.baseUrl;
+  config.env = {
+    ...config.env,
+    TEST_ENV: environment.name,
+    apiUrl: environment.apiUrl,
+    apiTimeout: environment.apiTimeout,
+    performanceBudgets: environment.performanceBudgets,
+    credentials: environment.credentials,
+  };
+  return config;
+}
+
+module.exports = {
+  profiles,
+  DEFAULT_PROFILE,
+  REQUIRED_VARIABLES,
+  requireVariables,
+  loadEnvironment,
+  applyEnvironment,
+};
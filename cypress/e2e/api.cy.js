@@ -0,0 +1,161 @@
+import InventoryPage from "../pages/InventoryPage";
+import CheckoutPage from "../pages/CheckoutPage";
+import {
+  getHealth,
+  getProducts,
+  getProduct,
+  createOrder,
+  getOrders,
+} from "../api/client";
+import { matchesSchema } from "../api/schemas";
+import {
+  stubRoute,
+  stubRoutes,
+  injectFailure,
+  CLIENT_REQUEST_TIMEOUT,
+} from "../api/stubs";
+
+// The API and its failure paths exist only on the local mock app
+describe("API E2E Tests", { tags: ["@regression", "@api"] }, () => {
+  let inventoryPage;
+  let checkoutPage;
+
+  before(function () {
+    if (Cypress.env("TEST_ENV") !== "local") {
+      this.skip();
+    }
+    inventoryPage = new InventoryPage();
+    checkoutPage = new CheckoutPage();
+  });
+
+  describe("Contract", () => {
+    it("Should report a healthy API", { tags: "@smoke" }, () => {
+      getHealth().its("body").should(matchesSchema("health"));
+    });
+
+    it("Should return the catalog in the product list schema", () => {
+      getProducts().then((response) => {
+        expect(response.status).to.equal(200);
+        expect(response.body).to.have.length(6);
+        matchesSchema("productList")(response.body);
+      });
+    });
+
+    it("Should return a single product by id", () => {
+      getProduct(4).then((response) => {
+        matchesSchema("product")(response.body);
+        expect(response.body.name).to.equal("Sauce Labs Backpack");
+      });
+    });
+
+    it("Should return an error body for an unknown product", () => {
+      getProduct(99, { failOnStatusCode: false }).then((response) => {
+        expect(response.status).to.equal(404);
+        matchesSchema("error")(response.body);
+      });
+    });
+
+    it("Should create an order and list it", () => {
+      createOrder({ username: "standard_user", items: [4, 0] }).then(
+        (response) => {
+          expect(response.status).to.equal(201);
+          matchesSchema("order")(response.body);
+
+          getOrders()
+            .its("body")
+            .should(matchesSchema("orderList"))
+            .and((orders) => {
+              expect(orders.map(({ id }) => id)).to.include(response.body.id);
+            });
+        }
+      );
+    });
+  });
+
+  describe("Stubbed Responses", () => {
+    beforeEach(() => {
+      const { username, password } = Cypress.env("credentials");
+      cy.sessionLogin(username, password, { visit: false });
+    });
+
+    it("Should render the catalog from a fixture", () => {
+      stubRoute("products", "api/products.json");
+
+      inventoryPage.open();
+
+      cy.wait("@products");
+      inventoryPage.verifyProductCount(2);
+      inventoryPage
+        .getProductPriceByName("Sauce Labs Onesie")
+        .should("equal", 5.49);
+    });
+
+    it("Should render an empty catalog from a route map fixture", () => {
+      cy.fixture("api/emptyCatalog.json").then(stubRoutes);
+
+      cy.visit(inventoryPage.path);
+
+      cy.wait("@products");
+      cy.locate(inventoryPage.inventoryItem).should("not.exist");
+    });
+  });
+
+  describe("Injected Failures", () => {
+    beforeEach(() => {
+      const { username, password } = Cypress.env("credentials");
+      cy.sessionLogin(username, password, { visit: false });
+    });
+
+    const catalogFailures = [
+      { type: "serverError", description: "a 500 response" },
+      { type: "networkError", description: "a network error" },
+      { type: "timeout", description: "a request timeout" },
+    ];
+
+    catalogFailures.forEach(({ type, description }) => {
+      it(`Should show the catalog error banner on ${description}`, () => {
+        injectFailure("products", type);
+
+        cy.visit(inventoryPage.path);
+
+        inventoryPage.verifyErrorMessage(
+          "Epic sadface: Products could not be loaded."
+        );
+      });
+    });
+
+    it("Should wait for a slow catalog instead of failing", () => {
+      injectFailure("products", "slow", {
+        delay: CLIENT_REQUEST_TIMEOUT - 1000,
+      });
+
+      cy.visit(inventoryPage.path);
+
+      cy.locate(inventoryPage.inventoryItem, {
+        timeout: CLIENT_REQUEST_TIMEOUT + 2000,
+      }).should("have.length", 6);
+      cy.locate(inventoryPage.errorContainer).should("not.exist");
+    });
+
+    it("Should keep the customer on the overview when placing the order fails", () => {
+      inventoryPage.open();
+      inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+
+      cy.fixture("checkout").then((checkout) => {
+        checkoutPage.open();
+        checkoutPage.fillCustomerInformation(checkout.customer);
+        checkoutPage.clickContinue();
+        checkoutPage.verifyStepTwoLoaded();
+        injectFailure("createOrder", "serverError");
+
+        checkoutPage.clickFinish();
+
+        cy.wait("@createOrder").its("response.statusCode").should("equal", 500);
+        checkoutPage.verifyErrorMessage(
+          "Error: Your order could not be placed."
+        );
+        cy.url().should("include", "/checkout-step-two.html");
+      });
+    });
+  });
+});
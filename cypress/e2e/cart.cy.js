@@ -0,0 +1,120 @@
+import InventoryPage from "../pages/InventoryPage";
+import CartPage from "../pages/CartPage";
+
+describe("Cart E2E Tests", { tags: ["@regression", "@cart"] }, () => {
+  let inventoryPage;
+  let cartPage;
+
+  before(() => {
+    inventoryPage = new InventoryPage();
+    cartPage = new CartPage();
+  });
+
+  beforeEach(() => {
+    const { username, password } = Cypress.env("credentials");
+    cy.sessionLogin(username, password);
+    inventoryPage.verifyInventoryPageLoaded();
+  });
+
+  it(
+    "Should carry products added on the inventory page over to the cart",
+    { tags: "@smoke" },
+    () => {
+      inventoryPage.getProductByIndex(0).as("firstProduct");
+      inventoryPage.getProductByIndex(2).as("thirdProduct");
+      inventoryPage.addProductToCartByIndex(0);
+      inventoryPage.addProductToCartByIndex(2);
+
+      inventoryPage.clickShoppingCart();
+
+      cartPage.verifyCartPageLoaded(2);
+      cy.get("@firstProduct").then((firstProduct) => {
+        cy.get("@thirdProduct").then((thirdProduct) => {
+          cartPage.verifyCartContents([
+            { ...firstProduct, quantity: 1 },
+            { ...thirdProduct, quantity: 1 },
+          ]);
+        });
+      });
+    }
+  );
+
+  it("Should show a cart badge matching the number of line items", () => {
+    inventoryPage.addProductToCartByIndex(1);
+    inventoryPage.addProductToCartByIndex(3);
+    inventoryPage.verifyCartBadgeCount("2");
+
+    cartPage.visit();
+
+    cartPage.getLineItems().should("have.length", 2);
+    cartPage.header.verifyCartCount(2);
+  });
+
+  it("Should remove a product from the cart by name", () => {
+    inventoryPage.getProductByIndex(0).as("removedProduct");
+    inventoryPage.getProductByIndex(1).as("keptProduct");
+    inventoryPage.addProductToCartByIndex(0);
+    inventoryPage.addProductToCartByIndex(1);
+    cartPage.visit();
+
+    cy.get("@removedProduct").then(({ name }) => {
+      cartPage.removeItemByName(name);
+      cartPage.verifyItemNotInCart(name);
+    });
+
+    cy.get("@keptProduct").then(({ name }) => {
+      cartPage.verifyCartContents([name]);
+    });
+    cartPage.header.verifyCartCount(1);
+  });
+
+  it("Should keep cart state when continuing shopping", () => {
+    inventoryPage.addFirstProductToCart();
+    cartPage.visit();
+
+    cartPage.continueShopping();
+
+    inventoryPage.verifyInventoryPageLoaded();
+    inventoryPage.verifyCartBadgeCount("1");
+    inventoryPage.verifyButtonTextChanged("Remove");
+  });
+
+  it("Should empty the cart with Reset App State", () => {
+    inventoryPage.addProductToCartByIndex(0);
+    inventoryPage.addProductToCartByIndex(1);
+    cartPage.visit();
+    cartPage.verifyCartPageLoaded(2);
+
+    cy.resetAppState();
+
+    cartPage.visit();
+    cartPage.verifyCartIsEmpty();
+  });
+
+  it("Should show an empty cart when nothing was added", () => {
+    cartPage.visit();
+
+    cartPage.verifyCartIsEmpty();
+  });
+
+  it("Should proceed to checkout from the cart", { tags: "@checkout" }, () => {
+    inventoryPage.addFirstProductToCart();
+    cartPage.visit();
+
+    cartPage.clickCheckout();
+
+    cy.url().should("include", "/checkout-step-one.html");
+  });
+
+  it(
+    "Should have no serious accessibility violations on the cart page",
+    { tags: "@a11y" },
+    () => {
+      inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+      cartPage.visit();
+      cartPage.verifyCartPageLoaded(1);
+
+      cartPage.auditAccessibility();
+    }
+  );
+});
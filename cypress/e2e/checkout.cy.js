@@ -0,0 +1,150 @@
+import CheckoutPage from "../pages/CheckoutPage";
+
+describe("Checkout E2E Tests", { tags: ["@regression", "@checkout"] }, () => {
+  let checkoutPage;
+
+  before(() => {
+    checkoutPage = new CheckoutPage();
+  });
+
+  beforeEach(() => {
+    const { username, password } = Cypress.env("credentials");
+    cy.fixture("checkout").then((checkout) => {
+      cy.sessionLogin(username, password, {
+        programmatic: true,
+        cart: checkout.cart,
+        visit: false,
+      });
+    });
+    checkoutPage.open();
+  });
+
+  it(
+    "Should complete checkout with valid customer information",
+    { tags: "@smoke" },
+    () => {
+      cy.fixture("checkout").then((checkout) => {
+        checkoutPage.fillCustomerInformation(checkout.customer);
+        checkoutPage.clickContinue();
+
+        checkoutPage.verifyStepTwoLoaded();
+        checkoutPage.verifySummaryItemCount(checkout.cart.length);
+        checkoutPage
+          .getPriceSummary()
+          .should("deep.equal", checkout.expectedSummary);
+        checkoutPage.verifyPriceSummaryIsConsistent();
+
+        checkoutPage.clickFinish();
+
+        checkoutPage.verifyOrderComplete();
+      });
+    }
+  );
+
+  it("Should return to the inventory page from the completion page", () => {
+    cy.fixture("checkout").then((checkout) => {
+      checkoutPage.fillCustomerInformation(checkout.customer);
+      checkoutPage.clickContinue();
+      checkoutPage.clickFinish();
+
+      checkoutPage.clickBackHome();
+
+      cy.url().should("include", "/inventory.html");
+    });
+  });
+
+  const missingFieldCases = [
+    { field: "firstName", message: "Error: First Name is required" },
+    { field: "lastName", message: "Error: Last Name is required" },
+    { field: "postalCode", message: "Error: Postal Code is required" },
+  ];
+
+  missingFieldCases.forEach(({ field, message }) => {
+    it(`Should display error when ${field} is missing`, () => {
+      cy.fixture("checkout").then((checkout) => {
+        checkoutPage.fillCustomerInformation({
+          ...checkout.customer,
+          [field]: "",
+        });
+        checkoutPage.clickContinue();
+
+        checkoutPage.verifyErrorMessage(message);
+        cy.url().should("include", "/checkout-step-one.html");
+      });
+    });
+  });
+
+  it("Should dismiss the validation error", () => {
+    checkoutPage.clickContinue();
+    checkoutPage.verifyErrorMessage("Error: First Name is required");
+
+    checkoutPage.closeErrorMessage();
+
+    cy.locate(checkoutPage.errorContainer).should("not.exist");
+  });
+
+  it(
+    "Should have no serious accessibility violations on any checkout step",
+    { tags: "@a11y" },
+    () => {
+      checkoutPage.auditAccessibility();
+
+      cy.fixture("checkout").then((checkout) => {
+        checkoutPage.fillCustomerInformation(checkout.customer);
+        checkoutPage.clickContinue();
+        checkoutPage.verifyStepTwoLoaded();
+        checkoutPage.auditAccessibility();
+
+        checkoutPage.clickFinish();
+        checkoutPage.verifyOrderComplete();
+        checkoutPage.auditAccessibility();
+      });
+    }
+  );
+
+  it("Should keep validation errors accessible", { tags: "@a11y" }, () => {
+    checkoutPage.clickContinue();
+    checkoutPage.verifyErrorMessage("Error: First Name is required");
+
+    checkoutPage.auditAccessibility({ scope: checkoutPage.customerForm });
+  });
+
+  it("Should return to the cart when cancelling step one", () => {
+    checkoutPage.clickCancel();
+
+    cy.url().should("include", "/cart.html");
+  });
+});
+
+describe(
+  "Checkout E2E Tests - error_user",
+  { tags: ["@regression", "@checkout", "@error_user"] },
+  () => {
+    let checkoutPage;
+
+    before(() => {
+      checkoutPage = new CheckoutPage();
+    });
+
+    beforeEach(() => {
+      cy.fixture("checkout").then((checkout) => {
+        cy.sessionLogin("error_user", Cypress.env("credentials").password, {
+          programmatic: true,
+          cart: checkout.cart,
+          visit: false,
+        });
+      });
+      checkoutPage.visitStepTwo();
+      checkoutPage.verifyStepTwoLoaded();
+    });
+
+    it("Should throw and stay on the overview when finishing the order", () => {
+      cy.expectException("Failed to complete the order.");
+
+      checkoutPage.clickFinish();
+
+      cy.verifyExpectedExceptions();
+      cy.url().should("include", "/checkout-step-two.html");
+    });
+  }
+);
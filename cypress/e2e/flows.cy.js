@@ -0,0 +1,84 @@
+import { loginAs, buyProducts, resetShopState } from "../flows";
+import { injectFailure } from "../api/stubs";
+import InventoryPage from "../pages/InventoryPage";
+import checkout from "../fixtures/checkout.json";
+
+const PRODUCTS = ["Sauce Labs Backpack", "Sauce Labs Bike Light"];
+
+describe("Business Flow Tests", { tags: ["@regression", "@flows"] }, () => {
+  it("Should log in as the standard persona", { tags: "@smoke" }, () => {
+    loginAs("standard").should("deep.equal", {
+      persona: "standard",
+      username: "standard_user",
+      loggedIn: true,
+      error: null,
+    });
+  });
+
+  it("Should report the login error for a locked out persona", () => {
+    loginAs("locked_out_user").should("include", {
+      persona: "lockedOut",
+      loggedIn: false,
+      error: "Epic sadface: Sorry, this user has been locked out.",
+    });
+  });
+
+  it("Should buy products and yield the order", { tags: "@checkout" }, () => {
+    loginAs("standard");
+
+    buyProducts(PRODUCTS, checkout.customer).then((order) => {
+      expect(order.completed).to.equal(true);
+      expect(order.error).to.equal(null);
+      expect(order.items.map(({ name }) => name)).to.deep.equal(PRODUCTS);
+      expect(order.items.every(({ quantity }) => quantity === 1)).to.equal(
+        true
+      );
+      const { itemTotal, tax, total } = order;
+      expect({ itemTotal, tax, total }).to.deep.equal(checkout.expectedSummary);
+    });
+  });
+
+  it(
+    "Should yield the error when placing the order fails",
+    { tags: "@checkout" },
+    function () {
+      // Only the local mock app places orders through the API
+      if (Cypress.env("TEST_ENV") !== "local") {
+        this.skip();
+      }
+      loginAs("standard");
+      injectFailure("createOrder", "serverError");
+
+      buyProducts(PRODUCTS).should("include", {
+        completed: false,
+        error: "Error: Your order could not be placed.",
+      });
+    }
+  );
+
+  it("Should stop on the overview when asked not to finish", () => {
+    loginAs("standard");
+
+    buyProducts(PRODUCTS, checkout.customer, { finish: false }).should(
+      "include",
+      { completed: false, total: checkout.expectedSummary.total }
+    );
+    cy.url().should("include", "/checkout-step-two.html");
+  });
+
+  it("Should empty the cart when resetting the shop state", () => {
+    const inventoryPage = new InventoryPage();
+    loginAs("standard");
+    PRODUCTS.forEach((name) => inventoryPage.addProductToCartByName(name));
+    inventoryPage.header.verifyCartCount(PRODUCTS.length);
+
+    resetShopState().should("deep.equal", {
+      cartCount: 0,
+      productsInCart: [],
+    });
+  });
+
+  it("Should reject an unknown persona", () => {
+    expect(() => loginAs("admin")).to.throw('Unknown persona "admin"');
+  });
+});
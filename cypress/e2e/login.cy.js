@@ -1,6 +1,8 @@
 import LoginPage from "../pages/LoginPage";
+import { itEach } from "../support/dataDriven";
+import loginScenarios from "../fixtures/loginScenarios.json";
 
-describe("Login E2E Tests", () => {
+describe("Login E2E Tests", { tags: ["@regression", "@login"] }, () => {
   let loginPage;
 
   before(() => {
@@ -8,58 +10,30 @@ describe("Login E2E Tests", () => {
   });
 
   beforeEach(() => {
-    loginPage.visit();
-    loginPage.verifyLoginPageLoaded();
+    loginPage.open();
   });
 
-  it("Should successfully login with valid credentials", () => {
-    cy.fixture("users").then((users) => {
-      loginPage.login(users.validUser.username, users.validUser.password);
-
-      // Verify user is redirected to inventory page
-      cy.url().should("include", "/inventory.html");
-      cy.get(".inventory_item").should("have.length.greaterThan", 0);
-      cy.get(".shopping_cart_link").should("be.visible");
-    });
-  });
-
-  it("Should display error with invalid credentials", () => {
-    cy.fixture("users").then((users) => {
-      loginPage.login(users.invalidUser.username, users.invalidUser.password);
-
-      loginPage.verifyErrorMessageDisplayed();
-      loginPage
-        .getErrorMessage()
-        .should("contain", "Username and password do not match");
-    });
-  });
-
-  it("Should display error when username is empty", () => {
-    loginPage.enterPassword("some_password");
-    loginPage.clickLoginButton();
-
-    loginPage.verifyErrorMessageDisplayed();
-    loginPage.getErrorMessage().should("contain", "Username is required");
-  });
-
-  it("Should display error when password is empty", () => {
-    loginPage.enterUsername("standard_user");
-    loginPage.clickLoginButton();
-
-    loginPage.verifyErrorMessageDisplayed();
-    loginPage.getErrorMessage().should("contain", "Password is required");
-  });
-
-  it("Should handle locked out user", () => {
-    loginPage.enterUsername("locked_out_user");
-    loginPage.enterPassword("secret_sauce");
-    loginPage.clickLoginButton();
-
-    loginPage.verifyErrorMessageDisplayed();
-    loginPage
-      .getErrorMessage()
-      .should("contain", "Sorry, this user has been locked out");
-  });
+  itEach(
+    loginScenarios,
+    "Should show {expectedOutcome} for {userType}",
+    ({ username, password, expectedOutcome, expectedMessage, timeout }) => {
+      // Rows without a password use the configured one
+      loginPage.login(
+        username,
+        password === undefined ? Cypress.env("credentials").password : password
+      );
+
+      if (expectedOutcome === "success") {
+        cy.url({ timeout }).should("include", "/inventory.html");
+        cy.get(".inventory_item").should("have.length.greaterThan", 0);
+        cy.get(".shopping_cart_link").should("be.visible");
+      } else {
+        loginPage.verifyErrorMessageDisplayed();
+        loginPage.getErrorMessage().should("equal", expectedMessage);
+        cy.url().should("not.include", "/inventory.html");
+      }
+    }
+  );
 
   it("Should allow clearing input fields", () => {
     loginPage.enterUsername("test_user");
@@ -73,7 +47,7 @@ describe("Login E2E Tests", () => {
   });
 
   it("Should not expose password in HTML", () => {
-    loginPage.enterPassword("secret_sauce");
+    loginPage.enterPassword(Cypress.env("credentials").password);
     cy.get("[data-test='password']").should("have.attr", "type", "password");
   });
 
@@ -83,4 +57,58 @@ describe("Login E2E Tests", () => {
     cy.get("[data-test='password']").should("be.visible");
     cy.get("[data-test='login-button']").should("be.visible");
   });
+
+  it(
+    "Should have no serious accessibility violations on the login page",
+    { tags: "@a11y" },
+    () => {
+      loginPage.auditAccessibility();
+    }
+  );
+
+  it("Should keep the login error accessible", { tags: "@a11y" }, () => {
+    loginPage.clickLoginButton();
+    loginPage.verifyErrorMessageDisplayed();
+
+    loginPage.auditAccessibility({ scope: loginPage.errorContainer });
+  });
+});
+
+describe("Session Login Tests", { tags: ["@regression", "@login"] }, () => {
+  it(
+    "Should start on the inventory page after a cached UI login",
+    { tags: "@smoke" },
+    () => {
+      const { username, password } = Cypress.env("credentials");
+      cy.sessionLogin(username, password);
+
+      cy.url().should("include", "/inventory.html");
+      cy.get(".inventory_item").should("have.length.greaterThan", 0);
+    }
+  );
+
+  it("Should start logged in from a programmatically seeded session", () => {
+    const { username, password } = Cypress.env("credentials");
+    cy.sessionLogin(username, password, { programmatic: true });
+
+    cy.url().should("include", "/inventory.html");
+    cy.getCookie("session-username").should("have.property", "value", username);
+  });
+
+  it("Should log out from the burger menu", () => {
+    const { username, password } = Cypress.env("credentials");
+    cy.sessionLogin(username, password, { programmatic: true });
+
+    cy.logout();
+
+    new LoginPage().verifyLoginPageLoaded();
+    cy.getCookie("session-username").should("not.exist");
+  });
+
+  it("Should restore a seeded cart with the session", () => {
+    const { username, password } = Cypress.env("credentials");
+    cy.sessionLogin(username, password, { programmatic: true, cart: [4, 0] });
+
+    cy.get(".shopping_cart_badge").should("contain", "2");
+  });
 });
@@ -0,0 +1,70 @@
+import LoginPage from "../pages/LoginPage";
+import InventoryPage from "../pages/InventoryPage";
+
+// Budgets come from the TEST_ENV profile (cypress/config/environments.js);
+// timings are written to cypress/reports/performance.
+describe("Performance Timing Tests", { tags: "@performance" }, () => {
+  let loginPage;
+  let inventoryPage;
+  let budgets;
+
+  before(() => {
+    loginPage = new LoginPage();
+    inventoryPage = new InventoryPage();
+    budgets = Cypress.env("performanceBudgets");
+  });
+
+  describe("Login", () => {
+    beforeEach(() => {
+      loginPage.open();
+    });
+
+    it("Should log standard_user in within the login budget", () => {
+      const { username, password } = Cypress.env("credentials");
+      loginPage.measureLogin(username, password);
+    });
+
+    it(
+      "Should measure the performance_glitch_user login delay above budget",
+      { tags: "@performance_glitch_user" },
+      () => {
+        const { password } = Cypress.env("credentials");
+
+        loginPage
+          .measureLogin("performance_glitch_user", password, {
+            assertBudget: false,
+            timeout: 15000,
+          })
+          .then(({ duration, withinBudget }) => {
+            expect(duration).to.be.greaterThan(budgets.login);
+            expect(withinBudget).to.equal(false);
+          });
+      }
+    );
+  });
+
+  describe("Inventory", () => {
+    beforeEach(() => {
+      const { username, password } = Cypress.env("credentials");
+      cy.sessionLogin(username, password, { visit: false });
+      inventoryPage.open();
+    });
+
+    it("Should load the inventory page within the page load budget", () => {
+      cy.verifyPageLoadBudget().then((timing) => {
+        expect(timing.ttfb).to.be.at.most(timing.domContentLoaded);
+        expect(timing.domContentLoaded).to.be.at.most(timing.load);
+      });
+    });
+
+    it("Should sort products within the sort budget", () => {
+      inventoryPage.measureSort("hilo");
+      inventoryPage.verifySortOrder("hilo");
+    });
+
+    it("Should add a product to the cart within the add to cart budget", () => {
+      inventoryPage.measureAddToCart("Sauce Labs Backpack");
+      inventoryPage.verifyCartBadgeCount(1);
+    });
+  });
+});
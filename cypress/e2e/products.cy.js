@@ -1,80 +1,226 @@
-import LoginPage from "../pages/LoginPage";
 import InventoryPage from "../pages/InventoryPage";
+import CartPage from "../pages/CartPage";
 
-describe("Product E2E Tests", () => {
-  let loginPage;
+describe("Product E2E Tests", { tags: ["@regression", "@products"] }, () => {
   let inventoryPage;
+  let cartPage;
 
   before(() => {
-    loginPage = new LoginPage();
     inventoryPage = new InventoryPage();
+    cartPage = new CartPage();
   });
 
   beforeEach(() => {
-    loginPage.visit();
-    cy.fixture("users").then((users) => {
-      loginPage.login(users.validUser.username, users.validUser.password);
-    });
+    const { username, password } = Cypress.env("credentials");
+    cy.sessionLogin(username, password);
     inventoryPage.verifyInventoryPageLoaded();
   });
 
-  it("Should display all products on inventory page", () => {
-    inventoryPage.verifyProductCount(6);
-    inventoryPage.verifyAllProductsHaveNames();
-    inventoryPage.verifyAllProductsHavePrices();
-  });
-
-  it("Should add product to cart and update cart badge", () => {
-    inventoryPage.verifyCartBadgeNotExists();
-
-    inventoryPage.addFirstProductToCart();
-
-    inventoryPage.verifyCartBadgeCount("1");
-    inventoryPage.verifyButtonTextChanged("Remove");
-  });
+  it(
+    "Should display all products on inventory page",
+    { tags: "@smoke" },
+    () => {
+      inventoryPage.verifyProductCount(6);
+      inventoryPage.verifyAllProductsHaveNames();
+      inventoryPage.verifyAllProductsHavePrices();
+    }
+  );
+
+  it(
+    "Should add product to cart and update cart badge",
+    { tags: "@smoke" },
+    () => {
+      inventoryPage.verifyCartBadgeNotExists();
+
+      inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+
+      inventoryPage.verifyCartBadgeCount("1");
+      inventoryPage.verifyButtonTextForProduct("Sauce Labs Backpack", "Remove");
+    }
+  );
 
   it("Should navigate to product details page", () => {
-    inventoryPage.clickFirstProductName();
+    inventoryPage.openProductDetailsByName("Sauce Labs Fleece Jacket");
 
-    inventoryPage.verifyProductDetailPageLoaded();
+    inventoryPage.verifyProductDetailPageShows("Sauce Labs Fleece Jacket");
   });
 
-  it("Should sort products by price low to high", () => {
-    inventoryPage.sortProducts("lohi");
+  it("Should read a product price by name", () => {
+    inventoryPage
+      .getProductPriceByName("Sauce Labs Bike Light")
+      .should("equal", 9.99);
+  });
 
-    inventoryPage.verifyPricesSortedAscending();
+  it("Should return the catalog as structured products", () => {
+    cy.fixture("products").then(({ catalog }) => {
+      inventoryPage.getCatalog().then((products) => {
+        expect(products).to.have.length(catalog.length);
+        expect(
+          products.map(({ name, price }) => ({ name, price }))
+        ).to.have.deep.members(catalog);
+
+        products.forEach((product) => {
+          expect(product.description, product.name).to.not.be.empty;
+          expect(product.imageSrc, product.name).to.not.be.empty;
+          expect(product.buttonText, product.name).to.equal("Add to cart");
+          expect(product.inCart, product.name).to.equal(false);
+        });
+      });
+    });
   });
 
-  it("Should sort products by name Z to A", () => {
-    inventoryPage.sortProducts("za");
+  it("Should report cart state in the catalog", () => {
+    inventoryPage.addProductToCartByName("Sauce Labs Onesie");
 
-    inventoryPage.verifyNamesSortedDescending();
+    inventoryPage.getCatalog().then((products) => {
+      const onesie = products.find(({ name }) => name === "Sauce Labs Onesie");
+      expect(onesie.inCart).to.equal(true);
+      expect(onesie.buttonText).to.equal("Remove");
+    });
   });
 
   it("Should add multiple products to cart", () => {
-    inventoryPage.addProductToCartByIndex(0);
-    inventoryPage.addProductToCartByIndex(1);
-    inventoryPage.addProductToCartByIndex(2);
+    inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+    inventoryPage.addProductToCartByName("Sauce Labs Bolt T-Shirt");
+    inventoryPage.addProductToCartByName("Test.allTheThings() T-Shirt (Red)");
 
     inventoryPage.verifyCartBadgeCount("3");
   });
 
+  it("Should add a product with the addToCart command", () => {
+    cy.addToCart("Sauce Labs Bike Light");
+
+    inventoryPage.verifyCartBadgeCount("1");
+    inventoryPage.verifyButtonTextForProduct("Sauce Labs Bike Light", "Remove");
+  });
+
   it("Should remove product from cart on inventory page", () => {
-    inventoryPage.addFirstProductToCart();
+    inventoryPage.addProductToCartByName("Sauce Labs Backpack");
     inventoryPage.verifyCartBadgeCount("1");
 
-    inventoryPage.removeFirstProductFromCart();
+    inventoryPage.removeProductFromCartByName("Sauce Labs Backpack");
 
     inventoryPage.verifyCartBadgeNotExists();
-    inventoryPage.verifyButtonTextChanged("Add to cart");
+    inventoryPage.verifyButtonTextForProduct(
+      "Sauce Labs Backpack",
+      "Add to cart"
+    );
   });
 
   it("Should navigate to cart page with added products", () => {
-    inventoryPage.addProductToCartByIndex(0);
-    inventoryPage.addProductToCartByIndex(1);
+    inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+    inventoryPage.addProductToCartByName("Sauce Labs Bike Light");
 
     inventoryPage.clickShoppingCart();
 
-    inventoryPage.verifyCartPageLoaded(2);
+    cartPage.verifyCartPageLoaded(2);
+  });
+
+  describe("Accessibility", { tags: "@a11y" }, () => {
+    it("Should have no serious accessibility violations on the inventory page", () => {
+      // Like the live site, the sort dropdown has no accessible name; it is
+      // covered by the next test instead of failing every audit
+      inventoryPage.auditAccessibility({
+        exclude: [inventoryPage.productSortContainer],
+      });
+    });
+
+    it("Should report the unlabelled sort dropdown", () => {
+      inventoryPage
+        .auditAccessibility({
+          scope: inventoryPage.productSortContainer,
+          includeRules: ["select-name"],
+          minImpact: "critical",
+          failOnViolation: false,
+        })
+        .then((violations) => {
+          expect(violations.map(({ id }) => id)).to.deep.equal(["select-name"]);
+        });
+    });
+
+    it("Should have no serious accessibility violations on the product details page", () => {
+      inventoryPage.openProductDetailsByName("Sauce Labs Backpack");
+      inventoryPage.verifyProductDetailPageLoaded();
+
+      inventoryPage.auditAccessibility();
+    });
+  });
+
+  describe("Sorting", () => {
+    const sortCases = [
+      { option: "az", description: "name A to Z" },
+      { option: "za", description: "name Z to A" },
+      { option: "lohi", description: "price low to high" },
+      { option: "hilo", description: "price high to low" },
+    ];
+
+    it("Should sort products by name A to Z by default", () => {
+      inventoryPage.verifySortOrder("az");
+    });
+
+    sortCases.forEach(({ option, description }) => {
+      it(`Should sort products by ${description}`, () => {
+        inventoryPage.sortProducts(option);
+
+        inventoryPage.verifySortOrder(option);
+      });
+
+      it(`Should keep the ${description} selection after adding to cart`, () => {
+        inventoryPage.sortProducts(option);
+
+        inventoryPage.addProductToCartByName("Sauce Labs Onesie");
+
+        inventoryPage.verifyCartBadgeCount("1");
+        inventoryPage.verifySortOrder(option);
+      });
+    });
   });
 });
+
+describe(
+  "Product E2E Tests - error_user",
+  { tags: ["@regression", "@products", "@error_user"] },
+  () => {
+    let inventoryPage;
+
+    before(() => {
+      inventoryPage = new InventoryPage();
+    });
+
+    beforeEach(() => {
+      cy.sessionLogin("error_user", Cypress.env("credentials").password);
+      inventoryPage.verifyInventoryPageLoaded();
+    });
+
+    it("Should throw and leave the cart empty when adding a broken product", () => {
+      cy.expectException("Failed to add item to the cart.");
+
+      inventoryPage.addProductToCartByName("Sauce Labs Bolt T-Shirt");
+
+      cy.verifyExpectedExceptions().should("have.length", 1);
+      inventoryPage.verifyCartBadgeNotExists();
+      inventoryPage.verifyButtonTextForProduct(
+        "Sauce Labs Bolt T-Shirt",
+        "Add to cart"
+      );
+    });
+
+    it("Should still add products that are not broken", () => {
+      inventoryPage.addProductToCartByName("Sauce Labs Backpack");
+
+      inventoryPage.verifyCartBadgeCount(1);
+    });
+
+    it("Should throw when sorting and keep the default order", () => {
+      cy.expectException(/^Sorting is broken!/);
+
+      inventoryPage.sortProducts("za");
+
+      cy.verifyExpectedExceptions();
+      inventoryPage.getCatalog().then((products) => {
+        const names = products.map(({ name }) => name);
+        expect(names).to.deep.equal([...names].sort());
+      });
+    });
+  }
+);
@@ -0,0 +1,80 @@
+import InventoryPage from "../pages/InventoryPage";
+
+describe("Node Task Tests", { tags: "@tasks" }, () => {
+  const reportPath = "cypress/reports/tasks-spec.json";
+
+  it("Should write JSON with writeJson and read it back with readJson", () => {
+    const data = { spec: Cypress.spec.name, items: [1, 2, 3] };
+
+    cy.task("writeJson", { filePath: reportPath, data })
+      .should("contain", "tasks-spec.json")
+      .then(() => cy.task("readJson", reportPath))
+      .should("deep.equal", data);
+  });
+
+  it("Should yield null from readJson when the file does not exist", () => {
+    cy.task("readJson", "cypress/reports/does-not-exist.json").should(
+      "be.null"
+    );
+  });
+
+  it("Should empty the downloads folder with clearDownloads", () => {
+    cy.task("writeJson", {
+      filePath: `${Cypress.config("downloadsFolder")}/order.json`,
+      data: {},
+    });
+
+    cy.task("clearDownloads").should("be.greaterThan", 0);
+    cy.task("clearDownloads").should("equal", 0);
+  });
+
+  it("Should log messages to the terminal", () => {
+    cy.task("log", `Running ${Cypress.spec.name}`).should("be.null");
+  });
+
+  describe("Mock Backend Test Data", () => {
+    let inventoryPage;
+
+    before(function () {
+      // Seeding needs the local mock backend
+      if (Cypress.env("TEST_ENV") !== "local") {
+        this.skip();
+      }
+      inventoryPage = new InventoryPage();
+    });
+
+    beforeEach(() => {
+      const { username, password } = Cypress.env("credentials");
+      cy.sessionLogin(username, password, { visit: false });
+    });
+
+    after(() => {
+      if (Cypress.env("TEST_ENV") === "local") {
+        cy.task("resetTestData");
+      }
+    });
+
+    it("Should show a catalog seeded from a fixture", () => {
+      cy.task("seedTestData", "seed/limitedCatalog.json")
+        .its("products")
+        .should("have.length", 2);
+
+      inventoryPage.open();
+      inventoryPage.verifyProductCount(2);
+      inventoryPage.getCatalog().then((products) => {
+        expect(products.map(({ name }) => name)).to.deep.equal([
+          "Sauce Labs Backpack",
+          "Sauce Labs Bike Light",
+        ]);
+      });
+    });
+
+    it("Should restore the default catalog with resetTestData", () => {
+      cy.task("seedTestData", { products: [] });
+      cy.task("resetTestData").its("products").should("have.length", 6);
+
+      inventoryPage.open();
+      inventoryPage.verifyProductCount(6);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import InventoryPage from "../pages/InventoryPage";
+
+// Baselines are recorded from standard_user; the glitch personas are compared
+// against them. Record or refresh them with `npm run test:visual` followed by
+// `npm run visual:approve` (see README).
+describe("Visual Regression Tests", { tags: "@visual" }, () => {
+  let inventoryPage;
+
+  before(() => {
+    inventoryPage = new InventoryPage();
+  });
+
+  const loginAs = (username) => {
+    cy.sessionLogin(username, Cypress.env("credentials").password);
+    inventoryPage.verifyInventoryPageLoaded();
+  };
+
+  describe("standard_user", { tags: "@standard_user" }, () => {
+    beforeEach(() => {
+      loginAs("standard_user");
+    });
+
+    it("Should match the baseline for every product image", () => {
+      inventoryPage.compareProductImages().should("have.length", 6);
+    });
+
+    it("Should match the full-page baseline", () => {
+      inventoryPage.compareFullPage();
+    });
+  });
+
+  describe("problem_user", { tags: "@problem_user" }, () => {
+    beforeEach(() => {
+      loginAs("problem_user");
+    });
+
+    it("Should detect that every product image differs from the baseline", () => {
+      inventoryPage
+        .compareProductImages({ expectDiff: true })
+        .should("have.length", 6);
+    });
+  });
+
+  describe("visual_user", { tags: "@visual_user" }, () => {
+    beforeEach(() => {
+      loginAs("visual_user");
+    });
+
+    it("Should detect the wrong Sauce Labs Backpack image", () => {
+      inventoryPage.compareProductImage("Sauce Labs Backpack", {
+        expectDiff: true,
+      });
+      inventoryPage.compareProductImage("Sauce Labs Bike Light");
+    });
+
+    it("Should detect layout glitches on the full page", () => {
+      inventoryPage.compareFullPage("inventory/page", { expectDiff: true });
+    });
+  });
+});
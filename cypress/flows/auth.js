@@ -0,0 +1,52 @@
+// auth.js - Login flows for the Swag Labs personas
+// A persona is a key of PERSONAS ("standard", "lockedOut", ...) or its
+// username; every persona shares Cypress.env("credentials").password.
+
+import LoginPage from "../pages/LoginPage";
+
+const loginPage = new LoginPage();
+
+// Swag Labs demo users and what they are for
+export const PERSONAS = {
+  standard: { username: "standard_user", canLogIn: true },
+  lockedOut: { username: "locked_out_user", canLogIn: false },
+  problem: { username: "problem_user", canLogIn: true },
+  performanceGlitch: { username: "performance_glitch_user", canLogIn: true },
+  error: { username: "error_user", canLogIn: true },
+  visual: { username: "visual_user", canLogIn: true },
+};
+
+// Persona by key or username, e.g. persona("error") or persona("error_user")
+export function persona(name) {
+  const key = Object.keys(PERSONAS).find(
+    (candidate) => candidate === name || PERSONAS[candidate].username === name
+  );
+  if (!key) {
+    throw new Error(
+      `Unknown persona "${name}". Use one of: ${Object.keys(PERSONAS).join(
+        ", "
+      )}`
+    );
+  }
+  return { persona: key, ...PERSONAS[key] };
+}
+
+// Log in as a persona and yield { persona, username, loggedIn, error }.
+// Personas that can log in get a cached session (cy.sessionLogin) unless
+// session is false; the others go through the login form so the error
+// banner can be read.
+export function loginAs(name = "standard", { session = true } = {}) {
+  const { persona: key, username, canLogIn } = persona(name);
+  const { password } = Cypress.env("credentials");
+
+  if (session && canLogIn) {
+    cy.sessionLogin(username, password);
+  } else {
+    loginPage.open();
+    loginPage.login(username, password);
+  }
+
+  return loginPage
+    .getLoginOutcome()
+    .then((outcome) => ({ persona: key, username, ...outcome }));
+}
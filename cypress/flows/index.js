@@ -0,0 +1,5 @@
+// index.js - Business flows composed from the page objects
+// Specs import them from here: import { loginAs, buyProducts } from "../flows";
+
+export { PERSONAS, persona, loginAs } from "./auth";
+export { buyProducts, resetShopState } from "./shopping";
@@ -0,0 +1,75 @@
+// shopping.js - Cart and checkout flows
+// Each flow starts from the inventory page of a logged-in user (see loginAs
+// in auth.js) and yields what the shop showed, so tests assert on the result
+// instead of driving the page objects step by step.
+
+import InventoryPage from "../pages/InventoryPage";
+import CartPage from "../pages/CartPage";
+import CheckoutPage from "../pages/CheckoutPage";
+import checkout from "../fixtures/checkout.json";
+
+const inventoryPage = new InventoryPage();
+const cartPage = new CartPage();
+const checkoutPage = new CheckoutPage();
+
+// Add products by name, check out as customer and yield the order:
+// { items, itemTotal, tax, total, completed, error }. items are the cart's
+// line items ({ name, description, price, quantity }) and the totals come
+// from the overview. With finish: false the flow stops on the overview
+// (completed stays false) so the test can place the order itself.
+export function buyProducts(names, customer = checkout.customer, options = {}) {
+  const { finish = true } = options;
+  const order = {
+    items: [],
+    itemTotal: 0,
+    tax: 0,
+    total: 0,
+    completed: false,
+    error: null,
+  };
+
+  inventoryPage.visit();
+  inventoryPage.verifyInventoryPageLoaded();
+  names.forEach((name) => inventoryPage.addProductToCartByName(name));
+
+  inventoryPage.header.openCart();
+  cartPage.isLoaded();
+  cartPage.getLineItems().then((items) => {
+    order.items = items;
+  });
+  cartPage.clickCheckout();
+
+  checkoutPage.verifyStepOneLoaded();
+  checkoutPage.fillCustomerInformation(customer);
+  checkoutPage.clickContinue();
+  checkoutPage.verifyStepTwoLoaded();
+  checkoutPage.getPriceSummary().then((summary) => {
+    Object.assign(order, summary);
+  });
+
+  if (finish) {
+    checkoutPage.clickFinish();
+    checkoutPage.getOrderOutcome().then((outcome) => {
+      Object.assign(order, outcome);
+    });
+  }
+
+  return cy.wrap(order, { log: false });
+}
+
+// Empty the cart with "Reset App State" and yield { cartCount, productsInCart },
+// both empty after a successful reset
+export function resetShopState() {
+  inventoryPage.visit();
+  inventoryPage.verifyInventoryPageLoaded();
+  cy.resetAppState();
+
+  return inventoryPage.header.getCartCount().then((cartCount) =>
+    inventoryPage.getCatalog().then((products) => ({
+      cartCount,
+      productsInCart: products
+        .filter((product) => product.inCart)
+        .map((product) => product.name),
+    }))
+  );
+}
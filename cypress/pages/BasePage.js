@@ -2,14 +2,48 @@
  * BasePage - Base Page Object for Cypress Test Automation
  * Provides common page object functionality including navigation, element interaction,
  * assertions, and utilities for Cypress test automation.
+ *
+ * Page objects extend this class, set `path` to their URL path relative to
+ * baseUrl and override `isLoaded()` with the checks that prove the page rendered.
+ * Every method that takes a selector also accepts a Locator
+ * (see cypress/support/locator.js).
  */
 
+import { isLocator, queryElement } from '../support/locator';
+
 class BasePage {
+  /**
+   * Path of the page relative to the base URL (e.g. "/inventory.html")
+   * @type {string|undefined}
+   */
+  path;
+
+  /**
+   * Open the page at its path and wait until it reports itself loaded
+   * @param {object} options - Cypress visit options
+   */
+  open(options = {}) {
+    if (!this.path) {
+      throw new Error(`${this.constructor.name} does not declare a path`);
+    }
+    cy.visit(this.path, options);
+    return this.isLoaded();
+  }
+
+  /**
+   * Assert that the page is loaded. The default only checks the URL;
+   * page objects override this with page-specific checks.
+   */
+  isLoaded() {
+    this.assertUrlContains(this.path);
+    return this;
+  }
+
   /**
    * Navigate to a specific URL
-   * @param {string} url - The URL to navigate to
+   * @param {string} url - The URL to navigate to (default: the page's own path)
    */
-  visit(url) {
+  visit(url = this.path) {
     cy.visit(url);
     return this;
   }
@@ -55,123 +89,133 @@ class BasePage {
     return this;
   }
 
+  /**
+   * Query elements by selector or Locator; the other methods go through this
+   * @param {string|Locator} selector - CSS selector, alias or Locator
+   * @param {object} options - Query options (timeout, log)
+   * @returns {Cypress.Chainable<JQuery>} The matched elements
+   */
+  element(selector, options = {}) {
+    return queryElement(selector, options);
+  }
+
   /**
    * Click on an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {object} options - Cypress click options
    */
   click(selector, options = {}) {
-    cy.get(selector).click(options);
+    this.element(selector).click(options);
     return this;
   }
 
   /**
    * Double-click on an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {object} options - Cypress dblclick options
    */
   doubleClick(selector, options = {}) {
-    cy.get(selector).dblclick(options);
+    this.element(selector).dblclick(options);
     return this;
   }
 
   /**
    * Right-click on an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {object} options - Cypress rightclick options
    */
   rightClick(selector, options = {}) {
-    cy.get(selector).rightclick(options);
+    this.element(selector).rightclick(options);
     return this;
   }
 
   /**
    * Hover over an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   hover(selector) {
-    cy.get(selector).trigger('mouseover');
+    this.element(selector).trigger('mouseover');
     return this;
   }
 
   /**
    * Type text into an input field
-   * @param {string} selector - CSS selector of the input element
+   * @param {string|Locator} selector - Selector or Locator of the input element
    * @param {string} text - Text to type
    * @param {object} options - Cypress type options
    */
   typeText(selector, text, options = {}) {
-    cy.get(selector).type(text, options);
+    this.element(selector).type(text, options);
     return this;
   }
 
   /**
    * Clear an input field and type new text
-   * @param {string} selector - CSS selector of the input element
+   * @param {string|Locator} selector - Selector or Locator of the input element
    * @param {string} text - Text to type
    */
   clearAndType(selector, text) {
-    cy.get(selector).clear().type(text);
+    this.element(selector).clear().type(text);
     return this;
   }
 
   /**
    * Clear an input field
-   * @param {string} selector - CSS selector of the input element
+   * @param {string|Locator} selector - Selector or Locator of the input element
    */
   clearInput(selector) {
-    cy.get(selector).clear();
+    this.element(selector).clear();
     return this;
   }
 
   /**
    * Select an option from a dropdown by value
-   * @param {string} selector - CSS selector of the select element
+   * @param {string|Locator} selector - Selector or Locator of the select element
    * @param {string} value - Value of the option to select
    */
   selectDropdownByValue(selector, value) {
-    cy.get(selector).select(value);
+    this.element(selector).select(value);
     return this;
   }
 
   /**
    * Select an option from a dropdown by visible text
-   * @param {string} selector - CSS selector of the select element
+   * @param {string|Locator} selector - Selector or Locator of the select element
    * @param {string} text - Visible text of the option
    */
   selectDropdownByText(selector, text) {
-    cy.get(selector).select(text);
+    this.element(selector).select(text);
     return this;
   }
 
   /**
    * Check a checkbox
-   * @param {string} selector - CSS selector of the checkbox
+   * @param {string|Locator} selector - Selector or Locator of the checkbox
    */
   checkCheckbox(selector) {
-    cy.get(selector).check();
+    this.element(selector).check();
     return this;
   }
 
   /**
    * Uncheck a checkbox
-   * @param {string} selector - CSS selector of the checkbox
+   * @param {string|Locator} selector - Selector or Locator of the checkbox
    */
   uncheckCheckbox(selector) {
-    cy.get(selector).uncheck();
+    this.element(selector).uncheck();
     return this;
   }
 
   /**
    * Toggle a checkbox
-   * @param {string} selector - CSS selector of the checkbox
+   * @param {string|Locator} selector - Selector or Locator of the checkbox
    */
   toggleCheckbox(selector) {
-    cy.get(selector).then(($element) => {
+    this.element(selector).then(($element) => {
       if ($element.is(':checked')) {
-        cy.get(selector).uncheck();
+        this.element(selector).uncheck();
       } else {
-        cy.get(selector).check();
+        this.element(selector).check();
       }
     });
     return this;
@@ -179,90 +223,103 @@ class BasePage {
 
   /**
    * Get text content of an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @returns {Cypress.Chainable<string>} Text content
    */
   getText(selector) {
-    return cy.get(selector).invoke('text');
+    return this.element(selector).invoke('text');
   }
 
   /**
    * Get the value of an input element
-   * @param {string} selector - CSS selector of the input element
+   * @param {string|Locator} selector - Selector or Locator of the input element
    * @returns {Cypress.Chainable<string>} Value of the input
    */
   getInputValue(selector) {
-    return cy.get(selector).invoke('val');
+    return this.element(selector).invoke('val');
   }
 
   /**
    * Get an attribute value of an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} attribute - Attribute name
    * @returns {Cypress.Chainable<string>} Attribute value
    */
   getAttribute(selector, attribute) {
-    return cy.get(selector).invoke('attr', attribute);
+    return this.element(selector).invoke('attr', attribute);
   }
 
   /**
    * Check if element is visible
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @returns {Cypress.Chainable<boolean>} True if visible
    */
   isVisible(selector) {
-    return cy.get(selector).should('be.visible');
+    return this.element(selector).should('be.visible');
   }
 
   /**
    * Check if element is hidden
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @returns {Cypress.Chainable<boolean>} True if hidden
    */
   isHidden(selector) {
-    return cy.get(selector).should('not.be.visible');
+    return this.element(selector).should('not.be.visible');
   }
 
   /**
    * Check if element exists in DOM
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   elementExists(selector) {
-    cy.get(selector).should('exist');
+    this.element(selector).should('exist');
     return this;
   }
 
   /**
    * Check if element does not exist in DOM
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   elementDoesNotExist(selector) {
-    cy.get(selector).should('not.exist');
+    this.element(selector).should('not.exist');
     return this;
   }
 
   /**
    * Wait for an element to be visible
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {number} timeout - Timeout in milliseconds (default: 4000)
    */
   waitForElement(selector, timeout = 4000) {
-    cy.get(selector, { timeout }).should('be.visible');
+    this.element(selector, { timeout }).should('be.visible');
     return this;
   }
 
   /**
    * Wait for an element to disappear
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {number} timeout - Timeout in milliseconds (default: 4000)
    */
   waitForElementToDisappear(selector, timeout = 4000) {
-    cy.get(selector, { timeout }).should('not.exist');
+    this.element(selector, { timeout }).should('not.exist');
     return this;
   }
 
   /**
-   * Wait for a specific time
+   * Wait until the document has finished loading and the page reports itself
+   * loaded. Use this (or waitForElement) instead of a fixed wait().
+   * @param {number} timeout - Timeout in milliseconds (default: pageLoadTimeout)
+   */
+  waitForPageLoad(timeout = Cypress.config('pageLoadTimeout')) {
+    cy.document({ timeout })
+      .its('readyState', { timeout })
+      .should('eq', 'complete');
+    return this.isLoaded();
+  }
+
+  /**
+   * Wait for a specific time. Prefer waitForPageLoad(), waitForElement() or a
+   * measured action, which wait only as long as needed.
    * @param {number} milliseconds - Time to wait in milliseconds
    */
   wait(milliseconds) {
@@ -272,88 +329,88 @@ class BasePage {
 
   /**
    * Assert that element has specific text
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} expectedText - Expected text content
    */
   assertTextEquals(selector, expectedText) {
-    cy.get(selector).should('have.text', expectedText);
+    this.element(selector).should('have.text', expectedText);
     return this;
   }
 
   /**
    * Assert that element contains specific text
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} text - Text that should be contained
    */
   assertTextContains(selector, text) {
-    cy.get(selector).should('contain.text', text);
+    this.element(selector).should('contain.text', text);
     return this;
   }
 
   /**
    * Assert that element has specific attribute value
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} attribute - Attribute name
    * @param {string} value - Expected attribute value
    */
   assertAttributeEquals(selector, attribute, value) {
-    cy.get(selector).should('have.attr', attribute, value);
+    this.element(selector).should('have.attr', attribute, value);
     return this;
   }
 
   /**
    * Assert that element has specific class
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} className - Class name
    */
   assertHasClass(selector, className) {
-    cy.get(selector).should('have.class', className);
+    this.element(selector).should('have.class', className);
     return this;
   }
 
   /**
    * Assert that element does not have specific class
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} className - Class name
    */
   assertDoesNotHaveClass(selector, className) {
-    cy.get(selector).should('not.have.class', className);
+    this.element(selector).should('not.have.class', className);
     return this;
   }
 
   /**
    * Assert that element is disabled
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   assertIsDisabled(selector) {
-    cy.get(selector).should('be.disabled');
+    this.element(selector).should('be.disabled');
     return this;
   }
 
   /**
    * Assert that element is enabled
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   assertIsEnabled(selector) {
-    cy.get(selector).should('be.enabled');
+    this.element(selector).should('be.enabled');
     return this;
   }
 
   /**
    * Assert that element is checked
-   * @param {string} selector - CSS selector of the checkbox
+   * @param {string|Locator} selector - Selector or Locator of the checkbox
    */
   assertIsChecked(selector) {
-    cy.get(selector).should('be.checked');
+    this.element(selector).should('be.checked');
     return this;
   }
 
   /**
    * Assert that element is not checked
-   * @param {string} selector - CSS selector of the checkbox
+   * @param {string|Locator} selector - Selector or Locator of the checkbox
    */
   assertIsNotChecked(selector) {
-    cy.get(selector).should('not.be.checked');
+    this.element(selector).should('not.be.checked');
     return this;
   }
 
@@ -377,29 +434,29 @@ class BasePage {
 
   /**
    * Assert element count equals expected value
-   * @param {string} selector - CSS selector of the elements
+   * @param {string|Locator} selector - Selector or Locator of the elements
    * @param {number} count - Expected number of elements
    */
   assertElementCount(selector, count) {
-    cy.get(selector).should('have.length', count);
+    this.element(selector).should('have.length', count);
     return this;
   }
 
   /**
    * Get the count of elements matching selector
-   * @param {string} selector - CSS selector of the elements
+   * @param {string|Locator} selector - Selector or Locator of the elements
    * @returns {Cypress.Chainable<number>} Count of elements
    */
   getElementCount(selector) {
-    return cy.get(selector).then(($elements) => $elements.length);
+    return this.element(selector).then(($elements) => $elements.length);
   }
 
   /**
    * Scroll to an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   scrollToElement(selector) {
-    cy.get(selector).scrollIntoView();
+    this.element(selector).scrollIntoView();
     return this;
   }
 
@@ -425,11 +482,11 @@ class BasePage {
 
   /**
    * Switch to iframe
-   * @param {string} frameSelector - CSS selector of the iframe
+   * @param {string|Locator} frameSelector - Selector or Locator of the iframe
    * @returns {object} This object for chaining
    */
   switchToFrame(frameSelector) {
-    cy.get(frameSelector).then(($iframe) => {
+    this.element(frameSelector).then(($iframe) => {
       const $body = $iframe.contents().find('body');
       cy.wrap($body);
     });
@@ -447,23 +504,23 @@ class BasePage {
 
   /**
    * Upload a file
-   * @param {string} selector - CSS selector of the file input
+   * @param {string|Locator} selector - Selector or Locator of the file input
    * @param {string} fileName - File name to upload
    * @param {string} mimeType - MIME type of the file
    */
   uploadFile(selector, fileName, mimeType = '') {
-    cy.get(selector).selectFile(fileName);
+    this.element(selector).selectFile(fileName);
     return this;
   }
 
   /**
    * Get CSS property value of an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    * @param {string} property - CSS property name
    * @returns {Cypress.Chainable<string>} CSS property value
    */
   getCSSProperty(selector, property) {
-    return cy.get(selector).then(($element) => {
+    return this.element(selector).then(($element) => {
       return window.getComputedStyle($element[0]).getPropertyValue(property);
     });
   }
@@ -479,19 +536,19 @@ class BasePage {
 
   /**
    * Focus on an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   focus(selector) {
-    cy.get(selector).focus();
+    this.element(selector).focus();
     return this;
   }
 
   /**
    * Blur an element
-   * @param {string} selector - CSS selector of the element
+   * @param {string|Locator} selector - Selector or Locator of the element
    */
   blur(selector) {
-    cy.get(selector).blur();
+    this.element(selector).blur();
     return this;
   }
 
@@ -520,6 +577,63 @@ class BasePage {
     return this;
   }
 
+  /**
+   * Time a page-object action against the environment's performance budget.
+   * The action should end with an assertion that proves it completed.
+   * @param {string} name - Budget and report name (e.g. 'login', 'sort', 'addToCart')
+   * @param {Function} action - Page-object steps to time, called with this page
+   * @param {object} options - cy.measure options (budget, assertBudget)
+   * @returns {Cypress.Chainable<object>} Timing with name, duration and budget
+   */
+  measure(name, action, options = {}) {
+    return cy.measure(name, () => action.call(this), options);
+  }
+
+  /**
+   * Audit the page, or part of it, for accessibility violations with axe-core
+   * @param {object} options - Audit options
+   * @param {string|Locator} options.scope - Selector or Locator to audit instead of the whole page
+   * @param {Array<string|Locator>} options.exclude - Selectors or Locators to leave out of the audit
+   * @param {string[]} options.includeRules - Only run these axe rule ids or tags
+   * @param {string[]} options.excludeRules - Axe rule ids to skip
+   * @param {string} options.minImpact - Lowest impact that fails the test (default: env a11y.minImpact)
+   * @returns {Cypress.Chainable<object[]>} All violations found, including those below minImpact
+   */
+  auditAccessibility({ scope, exclude = [], ...options } = {}) {
+    // axe takes selectors or elements, so Locators are resolved first. The scope
+    // is waited for, so a missing one fails naming it instead of axe's bare
+    // "No elements found for include"
+    const context = {};
+    if (scope) {
+      this.element(scope)
+        .should('exist')
+        .then(($scope) => {
+          context.include = $scope.toArray();
+        });
+    }
+    return cy.document({ log: false }).then((doc) => {
+      const targets = (target) =>
+        isLocator(target)
+          ? target.resolve(Cypress.$(doc.documentElement)).toArray()
+          : [target];
+      if (exclude.length > 0) {
+        context.exclude = exclude.flatMap(targets);
+      }
+      return cy.checkA11y(
+        Object.keys(context).length > 0 ? context : null,
+        options
+      );
+    });
+  }
+
+  /**
+   * Get the Navigation Timing of the current page
+   * @returns {Cypress.Chainable<object>} ttfb, domContentLoaded and load in milliseconds
+   */
+  getNavigationTiming() {
+    return cy.getNavigationTiming();
+  }
+
   /**
    * Log a message to Cypress log
    * @param {string} message - Message to log
@@ -530,4 +644,4 @@ class BasePage {
   }
 }
 
-module.exports = BasePage;
+export default BasePage;
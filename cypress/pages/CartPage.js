@@ -0,0 +1,128 @@
+import BasePage from "./BasePage";
+import { Locator } from "../support/locator";
+import Header from "./components/Header";
+import BurgerMenu from "./components/BurgerMenu";
+
+class CartPage extends BasePage {
+  path = "/cart.html";
+
+  // Components
+  header = new Header();
+  menu = new BurgerMenu();
+
+  // Locators
+  cartList = Locator.testId("cart-list").or(".cart_list").describe("cart list");
+  cartItem = Locator.testId("inventory-item")
+    .or(".cart_item")
+    .describe("cart line item");
+  itemQuantity = Locator.testId("item-quantity")
+    .or(".cart_quantity")
+    .describe("quantity");
+  itemName = Locator.testId("inventory-item-name")
+    .or(".inventory_item_name")
+    .describe("product name");
+  itemDesc = Locator.testId("inventory-item-desc")
+    .or(".inventory_item_desc")
+    .describe("product description");
+  itemPrice = Locator.testId("inventory-item-price")
+    .or(".inventory_item_price")
+    .describe("product price");
+  removeButton = Locator.css('button[id^="remove"]')
+    .or(Locator.role("button", { name: "Remove", exact: true }))
+    .describe('"Remove" button');
+  continueShoppingButton = Locator.testId("continue-shopping")
+    .or("#continue-shopping")
+    .describe('"Continue Shopping" button');
+  checkoutButton = Locator.testId("checkout")
+    .or("#checkout")
+    .describe('"Checkout" button');
+  title = Locator.testId("title").or(".title").describe("page title");
+
+  // Getter methods
+  // Line items as { name, description, price, quantity }
+  getLineItems() {
+    return this.element(this.cartList).then(($list) =>
+      [...this.cartItem.resolve($list)].map((item) => {
+        const $item = Cypress.$(item);
+        return {
+          name: this.itemName.resolve($item).text().trim(),
+          description: this.itemDesc.resolve($item).text().trim(),
+          price: parseFloat(
+            this.itemPrice.resolve($item).text().replace("$", "")
+          ),
+          quantity: parseInt(this.itemQuantity.resolve($item).text(), 10),
+        };
+      })
+    );
+  }
+
+  // Cart row whose product name matches exactly
+  lineItem(name) {
+    return this.cartItem
+      .has(this.itemName.withText(name, { exact: true }))
+      .describe(`cart line item "${name}"`);
+  }
+
+  getLineItemByName(name) {
+    return this.element(this.lineItem(name));
+  }
+
+  // Interaction methods
+  removeItemByName(name) {
+    this.getLineItemByName(name)
+      .should("have.length", 1)
+      .locate(this.removeButton)
+      .click();
+  }
+
+  continueShopping() {
+    this.click(this.continueShoppingButton);
+  }
+
+  clickCheckout() {
+    this.click(this.checkoutButton);
+  }
+
+  // Verification methods
+  verifyCartPageLoaded(itemCount) {
+    this.assertUrlContains(this.path);
+    this.assertElementCount(this.cartItem, itemCount);
+    this.element(this.checkoutButton).should("be.visible");
+  }
+
+  // Page loaded check used by open()
+  isLoaded() {
+    this.assertUrlContains(this.path);
+    this.assertTextEquals(this.title, "Your Cart");
+    this.element(this.checkoutButton).should("be.visible");
+    return this;
+  }
+
+  verifyCartIsEmpty() {
+    this.element(this.cartList).should("be.visible");
+    this.element(this.cartItem).should("not.exist");
+    this.header.verifyCartEmpty();
+  }
+
+  // Compare the cart against a list of product names or partial line items,
+  // e.g. ["Sauce Labs Backpack"] or [{ name: "Sauce Labs Backpack", price: 29.99 }]
+  verifyCartContents(expectedItems) {
+    const expected = expectedItems.map((item) =>
+      typeof item === "string" ? { name: item } : item
+    );
+
+    this.element(this.cartItem).should("have.length", expected.length);
+    this.getLineItems().then((lineItems) => {
+      const actual = lineItems.map((lineItem, index) =>
+        Cypress._.pick(lineItem, Object.keys(expected[index] || {}))
+      );
+      expect(actual).to.deep.equal(expected);
+    });
+  }
+
+  verifyItemNotInCart(name) {
+    this.getLineItemByName(name).should("not.exist");
+  }
+}
+
+export default CartPage;
@@ -0,0 +1,246 @@
+import BasePage from "./BasePage";
+import { Locator } from "../support/locator";
+import Header from "./components/Header";
+import BurgerMenu from "./components/BurgerMenu";
+
+// Sales tax Swag Labs applies to the item total
+const TAX_RATE = 0.08;
+
+class CheckoutPage extends BasePage {
+  // Checkout starts at step one; step two and completion follow from it
+  path = "/checkout-step-one.html";
+
+  // Components
+  header = new Header();
+  menu = new BurgerMenu();
+
+  // Locators - step one (customer information)
+  customerForm = Locator.css(".checkout_info").describe("customer form");
+  firstNameInput = Locator.testId("firstName")
+    .or("#first-name")
+    .describe("first name input");
+  lastNameInput = Locator.testId("lastName")
+    .or("#last-name")
+    .describe("last name input");
+  postalCodeInput = Locator.testId("postalCode")
+    .or("#postal-code")
+    .describe("postal code input");
+  continueButton = Locator.testId("continue")
+    .or("#continue")
+    .describe('"Continue" button');
+  cancelButton = Locator.testId("cancel")
+    .or("#cancel")
+    .describe('"Cancel" button');
+  errorContainer = Locator.testId("error")
+    .or(".error-message-container h3")
+    .describe("error banner");
+  errorCloseButton = Locator.testId("error-button")
+    .or(Locator.role("button", { name: "Close error" }))
+    .describe("error close button");
+
+  // Locators - step two (overview)
+  summaryItem = Locator.css(".cart_item").describe("summary line item");
+  summaryItemName = Locator.testId("inventory-item-name")
+    .or(".inventory_item_name")
+    .describe("summary product name");
+  summaryItemPrice = Locator.testId("inventory-item-price")
+    .or(".inventory_item_price")
+    .describe("summary product price");
+  summaryInfo = Locator.css(".summary_info").describe("price summary");
+  subtotalLabel = Locator.testId("subtotal-label")
+    .or(".summary_subtotal_label")
+    .describe("item total");
+  taxLabel = Locator.testId("tax-label")
+    .or(".summary_tax_label")
+    .describe("tax");
+  totalLabel = Locator.testId("total-label")
+    .or(".summary_total_label")
+    .describe("total");
+  finishButton = Locator.testId("finish")
+    .or("#finish")
+    .describe('"Finish" button');
+
+  // Locators - completion page
+  completeContainer = Locator.testId("checkout-complete-container")
+    .or("#checkout_complete_container")
+    .describe("order confirmation");
+  completeHeader = Locator.testId("complete-header")
+    .or(".complete-header")
+    .describe("confirmation header");
+  completeText = Locator.testId("complete-text")
+    .or(".complete-text")
+    .describe("confirmation text");
+  backHomeButton = Locator.testId("back-to-products")
+    .or("#back-to-products")
+    .describe('"Back Home" button');
+  title = Locator.testId("title").or(".title").describe("page title");
+
+  // Navigation methods
+  visitStepOne() {
+    this.visit(this.path);
+  }
+
+  visitStepTwo() {
+    this.visit("/checkout-step-two.html");
+  }
+
+  // Step one - customer information
+  enterFirstName(firstName) {
+    this.clearAndType(this.firstNameInput, firstName);
+  }
+
+  enterLastName(lastName) {
+    this.clearAndType(this.lastNameInput, lastName);
+  }
+
+  enterPostalCode(postalCode) {
+    this.clearAndType(this.postalCodeInput, postalCode);
+  }
+
+  // Fill the customer form, leaving out any field that is not provided
+  fillCustomerInformation({ firstName, lastName, postalCode } = {}) {
+    if (firstName) {
+      this.enterFirstName(firstName);
+    }
+    if (lastName) {
+      this.enterLastName(lastName);
+    }
+    if (postalCode) {
+      this.enterPostalCode(postalCode);
+    }
+  }
+
+  clickContinue() {
+    this.click(this.continueButton);
+  }
+
+  clickCancel() {
+    this.click(this.cancelButton);
+  }
+
+  closeErrorMessage() {
+    this.click(this.errorCloseButton);
+  }
+
+  getErrorMessage() {
+    return this.getText(this.errorContainer);
+  }
+
+  // Step two - overview
+  clickFinish() {
+    this.click(this.finishButton);
+  }
+
+  getSummaryItemNames() {
+    return this.element(this.summaryItemName).then(($names) =>
+      [...$names].map((el) => el.innerText.trim())
+    );
+  }
+
+  getSummaryItemPrices() {
+    return this.element(this.summaryItemPrice).then(($prices) =>
+      [...$prices].map((el) => this.parsePrice(el.innerText))
+    );
+  }
+
+  // Read "Item total", "Tax" and "Total" from the overview as numbers
+  getPriceSummary() {
+    return this.element(this.summaryInfo).then(($info) => ({
+      itemTotal: this.parsePrice(this.subtotalLabel.resolve($info).text()),
+      tax: this.parsePrice(this.taxLabel.resolve($info).text()),
+      total: this.parsePrice(this.totalLabel.resolve($info).text()),
+    }));
+  }
+
+  // After Finish: wait for the confirmation or an error banner and yield
+  // { completed, error }
+  getOrderOutcome(options = {}) {
+    return cy
+      .get("body", { log: false, ...options })
+      .should(($body) => {
+        expect(
+          this.completeContainer.resolve($body).length +
+            this.errorContainer.resolve($body).length,
+          "order confirmation or error"
+        ).to.be.greaterThan(0);
+      })
+      .then(($body) => ({
+        completed: this.completeContainer.resolve($body).length > 0,
+        error: this.errorContainer.resolve($body).text().trim() || null,
+      }));
+  }
+
+  // Completion page
+  clickBackHome() {
+    this.click(this.backHomeButton);
+  }
+
+  // Verification methods
+  verifyStepOneLoaded() {
+    this.assertUrlContains("/checkout-step-one.html");
+    this.assertTextEquals(this.title, "Checkout: Your Information");
+    this.element(this.firstNameInput).should("be.visible");
+    this.element(this.lastNameInput).should("be.visible");
+    this.element(this.postalCodeInput).should("be.visible");
+  }
+
+  verifyStepTwoLoaded() {
+    this.assertUrlContains("/checkout-step-two.html");
+    this.assertTextEquals(this.title, "Checkout: Overview");
+    this.element(this.subtotalLabel).should("be.visible");
+    this.element(this.finishButton).should("be.visible");
+  }
+
+  verifyErrorMessage(message) {
+    this.element(this.errorContainer)
+      .should("be.visible")
+      .and("contain", message);
+  }
+
+  verifySummaryItemCount(count) {
+    this.assertElementCount(this.summaryItem, count);
+  }
+
+  // Page loaded check used by open()
+  isLoaded() {
+    this.verifyStepOneLoaded();
+    return this;
+  }
+
+  // Item total must equal the line prices, tax the rounded 8% and total their sum
+  verifyPriceSummaryIsConsistent() {
+    this.getSummaryItemPrices().then((prices) => {
+      this.getPriceSummary().then(({ itemTotal, tax, total }) => {
+        const expectedItemTotal = this.roundCents(
+          prices.reduce((sum, price) => sum + price, 0)
+        );
+        const expectedTax = this.roundCents(expectedItemTotal * TAX_RATE);
+
+        expect(itemTotal, "item total").to.equal(expectedItemTotal);
+        expect(tax, "tax").to.equal(expectedTax);
+        expect(total, "total").to.equal(
+          this.roundCents(expectedItemTotal + expectedTax)
+        );
+      });
+    });
+  }
+
+  verifyOrderComplete() {
+    this.assertUrlContains("/checkout-complete.html");
+    this.assertTextEquals(this.title, "Checkout: Complete!");
+    this.assertTextEquals(this.completeHeader, "Thank you for your order!");
+    this.element(this.completeText).should("be.visible");
+    this.header.verifyCartEmpty();
+  }
+
+  // Helper methods
+  parsePrice(text) {
+    return parseFloat(text.replace(/^[^$]*\$/, ""));
+  }
+
+  roundCents(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default CheckoutPage;
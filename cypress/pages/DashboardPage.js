@@ -1,7 +1,11 @@
 // DashboardPage.js - Page Object Model for Dashboard page
 // This file contains selectors and methods for interacting with the Dashboard page
 
-class DashboardPage {
+import BasePage from './BasePage';
+
+class DashboardPage extends BasePage {
+  path = '/dashboard';
+
   // Selectors
   get dashboardTitle() {
     return cy.get('[data-testid="dashboard-title"]');
@@ -13,12 +17,18 @@ class DashboardPage {
 
   // Methods
   visitDashboard() {
-    cy.visit('/dashboard');
+    this.visit();
   }
 
   verifyDashboardLoaded() {
     this.dashboardTitle.should('be.visible');
   }
+
+  // Page loaded check used by open()
+  isLoaded() {
+    this.verifyDashboardLoaded();
+    return this;
+  }
 }
 
 export default new DashboardPage();
@@ -1,123 +1,321 @@
-class InventoryPage {
-  // Selectors
-  inventoryContainer = ".inventory_container";
-  inventoryItem = ".inventory_item";
-  inventoryItemName = ".inventory_item_name";
-  inventoryItemPrice = ".inventory_item_price";
-  inventoryItemDesc = ".inventory_item_desc";
-  inventoryItemImg = ".inventory_item_img";
-  addToCartButton = 'button[id^="add-to-cart"]';
-  removeButton = 'button[id^="remove"]';
-  shoppingCartLink = ".shopping_cart_link";
-  shoppingCartBadge = ".shopping_cart_badge";
-  productSortContainer = ".product_sort_container";
-  inventoryDetailsName = ".inventory_details_name";
-  inventoryDetailsPrice = ".inventory_details_price";
-  inventoryDetailsDesc = ".inventory_details_desc";
-  cartItem = ".cart_item";
-  checkoutButton = "#checkout";
-
-  // Navigation methods
-  visit() {
-    cy.visit("/inventory.html");
-  }
+import BasePage from "./BasePage";
+import { Locator } from "../support/locator";
+import Header from "./components/Header";
+import BurgerMenu from "./components/BurgerMenu";
+import ProductCard from "./components/ProductCard";
+
+const byName = (a, b) => a.name.localeCompare(b.name, "en");
+
+// "Sauce Labs Backpack" -> "sauce-labs-backpack", used for snapshot names
+const toSlug = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Sort dropdown options: visible label and the ordering Swag Labs applies.
+// Equal prices fall back to name order, as on the live site.
+const SORT_OPTIONS = {
+  az: { label: "Name (A to Z)", compare: byName },
+  za: { label: "Name (Z to A)", compare: (a, b) => byName(b, a) },
+  lohi: {
+    label: "Price (low to high)",
+    compare: (a, b) => a.price - b.price || byName(a, b),
+  },
+  hilo: {
+    label: "Price (high to low)",
+    compare: (a, b) => b.price - a.price || byName(a, b),
+  },
+};
+
+class InventoryPage extends BasePage {
+  path = "/inventory.html";
+
+  // Components
+  header = new Header();
+  menu = new BurgerMenu();
+
+  // Locators: data-test attribute first, the Swag Labs classes as fallback
+  inventoryContainer = Locator.testId("inventory-container")
+    .or(".inventory_container")
+    .describe("inventory container");
+  inventoryItem = Locator.testId("inventory-item")
+    .or(".inventory_item")
+    .describe("product card");
+  inventoryItemName = Locator.testId("inventory-item-name")
+    .or(".inventory_item_name")
+    .describe("product name");
+  inventoryItemPrice = Locator.testId("inventory-item-price")
+    .or(".inventory_item_price")
+    .describe("product price");
+  inventoryItemImage = Locator.css("img.inventory_item_img")
+    .or(Locator.role("img"))
+    .describe("product image");
+  productSortContainer = Locator.testId("product-sort-container")
+    .or(".product_sort_container", Locator.role("combobox"))
+    .describe("sort dropdown");
+  activeSortOption = Locator.testId("active-option")
+    .or(".active_option")
+    .describe("active sort option");
+  // The details page reuses the card test ids, so its classes come first
+  inventoryDetailsName = Locator.css(".inventory_details_name")
+    .or(Locator.testId("inventory-item-name"))
+    .describe("product details name");
+  inventoryDetailsPrice = Locator.css(".inventory_details_price")
+    .or(Locator.testId("inventory-item-price"))
+    .describe("product details price");
+  inventoryDetailsDesc = Locator.css(".inventory_details_desc")
+    .or(Locator.testId("inventory-item-desc"))
+    .describe("product details description");
+  errorContainer = Locator.testId("error").describe("error banner");
 
   // Verification methods
   verifyInventoryPageLoaded() {
-    cy.get(this.inventoryContainer).should("be.visible");
-    cy.get(this.inventoryItem).should("have.length.greaterThan", 0);
+    this.element(this.inventoryContainer).should("be.visible");
+    this.element(this.inventoryItem).should("have.length.greaterThan", 0);
+  }
+
+  // Page loaded check used by open()
+  isLoaded() {
+    this.assertUrlContains(this.path);
+    this.verifyInventoryPageLoaded();
+    return this;
   }
 
   verifyProductCount(count) {
-    cy.get(this.inventoryItem).should("have.length", count);
+    this.assertElementCount(this.inventoryItem, count);
   }
 
   verifyAllProductsHaveNames() {
-    cy.get(this.inventoryItemName).should("be.visible");
+    this.element(this.inventoryItemName).should("be.visible");
   }
 
   verifyAllProductsHavePrices() {
-    cy.get(this.inventoryItemPrice).should("be.visible");
+    this.element(this.inventoryItemPrice).should("be.visible");
   }
 
   verifyCartBadgeCount(count) {
-    cy.get(this.shoppingCartBadge).should("contain", count);
+    this.header.verifyCartCount(count);
   }
 
   verifyCartBadgeNotExists() {
-    cy.get(this.shoppingCartBadge).should("not.exist");
+    this.header.verifyCartEmpty();
   }
 
-  verifyProductDetailPageLoaded() {
-    cy.url().should("include", "/inventory-item.html");
-    cy.get(this.inventoryDetailsName).should("be.visible");
-    cy.get(this.inventoryDetailsPrice).should("be.visible");
-    cy.get(this.inventoryDetailsDesc).should("be.visible");
+  // Error banner shown when the catalog could not be loaded
+  verifyErrorMessage(message) {
+    this.element(this.errorContainer)
+      .should("be.visible")
+      .and("contain", message);
+    this.element(this.inventoryItem).should("not.exist");
+  }
+
+  verifyProductDetailPageShows(name) {
+    this.verifyProductDetailPageLoaded();
+    this.assertTextEquals(this.inventoryDetailsName, name);
+  }
+
+  verifyButtonTextForProduct(name, text) {
+    this.productCard(name).verifyButtonText(text);
   }
 
-  verifyCartPageLoaded(itemCount) {
-    cy.url().should("include", "/cart.html");
-    cy.get(this.cartItem).should("have.length", itemCount);
-    cy.get(this.checkoutButton).should("be.visible");
+  verifyProductDetailPageLoaded() {
+    cy.url().should("include", "/inventory-item.html");
+    this.element(this.inventoryDetailsName).should("be.visible");
+    this.element(this.inventoryDetailsPrice).should("be.visible");
+    this.element(this.inventoryDetailsDesc).should("be.visible");
   }
 
   // Interaction methods
   addFirstProductToCart() {
-    cy.get(this.inventoryItem).first().find("button").click();
+    this.addProductToCartByIndex(0);
   }
 
   addProductToCartByIndex(index) {
-    cy.get(this.inventoryItem).eq(index).find("button").click();
+    this.productCardAt(index).addToCart();
   }
 
   removeFirstProductFromCart() {
-    cy.get(this.inventoryItem).first().find("button").click();
+    this.productCardAt(0).removeFromCart();
+  }
+
+  addProductToCartByName(name) {
+    this.productCard(name).addToCart();
+  }
+
+  removeProductFromCartByName(name) {
+    this.productCard(name).removeFromCart();
+  }
+
+  openProductDetailsByName(name) {
+    this.productCard(name).openDetails();
   }
 
   clickFirstProductName() {
-    cy.get(this.inventoryItemName).first().click();
+    this.click(this.inventoryItemName.first());
   }
 
   clickShoppingCart() {
-    cy.get(this.shoppingCartLink).click();
+    this.header.openCart();
   }
 
   sortProducts(option) {
-    cy.get(this.productSortContainer).select(option);
+    this.selectDropdownByValue(this.productSortContainer, option);
+  }
+
+  // Timed actions, checked against the "sort" and "addToCart" budgets
+  measureSort(option, options = {}) {
+    return this.measure(
+      "sort",
+      () => {
+        this.sortProducts(option);
+        this.verifySelectedSortOption(option);
+      },
+      options
+    );
+  }
+
+  measureAddToCart(name, options = {}) {
+    return this.measure(
+      "addToCart",
+      () => {
+        this.addProductToCartByName(name);
+        this.verifyButtonTextForProduct(name, "Remove");
+      },
+      options
+    );
   }
 
   // Getter methods
   getFirstProductButton() {
-    return cy.get(this.inventoryItem).first().find("button");
+    return this.productCardAt(0).getButton();
+  }
+
+  // Product card component whose name matches exactly, independent of its
+  // position
+  productCard(name) {
+    return ProductCard.named(name);
+  }
+
+  // Product card component at a 0-based position in display order
+  productCardAt(index) {
+    return ProductCard.at(index);
+  }
+
+  getProductCardByName(name) {
+    return this.productCard(name).get();
+  }
+
+  getProductButtonByName(name) {
+    return this.productCard(name).getButton();
+  }
+
+  getProductPriceByName(name) {
+    return this.productCard(name).getPrice();
+  }
+
+  // Every product card in display order as
+  // { name, description, price, imageSrc, buttonText, inCart }
+  getCatalog() {
+    return this.element(this.inventoryItem).then(($items) =>
+      [...$items].map((item) => ProductCard.readCard(Cypress.$(item)))
+    );
   }
 
   getAllPrices() {
-    return cy.get(this.inventoryItemPrice);
+    return this.element(this.inventoryItemPrice);
   }
 
   getAllProductNames() {
-    return cy.get(this.inventoryItemName);
+    return this.element(this.inventoryItemName);
+  }
+
+  // Product card at a position as { name, description, price }
+  getProductByIndex(index) {
+    return this.productCardAt(index)
+      .read()
+      .then((product) =>
+        Cypress._.pick(product, ["name", "description", "price"])
+      );
   }
 
   // Verification helper methods
-  verifyPricesSortedAscending() {
-    this.getAllPrices().then(($prices) => {
-      const prices = [...$prices].map((el) =>
-        parseFloat(el.innerText.replace("$", ""))
+  // Check the displayed order and the dropdown selection for "az", "za",
+  // "lohi" or "hilo"
+  verifySortOrder(option) {
+    const sortOption = this.getSortOption(option);
+
+    this.verifySelectedSortOption(option);
+    this.getCatalog().then((products) => {
+      const actual = products.map(({ name, price }) => ({ name, price }));
+      const expected = [...actual].sort(sortOption.compare);
+      expect(actual, `products sorted by ${sortOption.label}`).to.deep.equal(
+        expected
+      );
+    });
+  }
+
+  verifySelectedSortOption(option) {
+    const { label } = this.getSortOption(option);
+
+    this.element(this.productSortContainer).should("have.value", option);
+    this.element(this.activeSortOption).should("have.text", label);
+  }
+
+  getSortOption(option) {
+    const sortOption = SORT_OPTIONS[option];
+    if (!sortOption) {
+      throw new Error(
+        `Unknown sort option "${option}", expected one of: ${Object.keys(
+          SORT_OPTIONS
+        ).join(", ")}`
       );
-      const sortedPrices = [...prices].sort((a, b) => a - b);
-      expect(prices).to.deep.equal(sortedPrices);
+    }
+    return sortOption;
+  }
+
+  // Every product image has finished loading, so screenshots are stable
+  verifyProductImagesLoaded() {
+    this.element(this.inventoryItemImage).each(($img) => {
+      cy.wrap($img)
+        .should("be.visible")
+        .and(($loaded) => {
+          expect(
+            $loaded[0].naturalWidth,
+            `${$loaded.attr("alt")} loaded`
+          ).to.be.greaterThan(0);
+        });
     });
   }
 
-  verifyNamesSortedDescending() {
-    this.getAllProductNames().then(($names) => {
-      const names = [...$names].map((el) => el.innerText);
-      const sortedNames = [...names].sort().reverse();
-      expect(names).to.deep.equal(sortedNames);
+  // Visual checks - pixel comparison with the baselines in cypress/visual.
+  // Options are passed to cy.compareSnapshot (threshold, maxDiffRatio,
+  // expectDiff, ...). Product images are named "inventory/<product-slug>".
+  compareProductImage(name, options = {}) {
+    this.verifyProductImagesLoaded();
+    return this.element(this.productCard(name).imageContainer)
+      .first()
+      .compareSnapshot(`inventory/${toSlug(name)}`, options);
+  }
+
+  // Compare every product image; yields the list of results
+  compareProductImages(options = {}) {
+    return this.getCatalog().then((products) => {
+      const results = [];
+      products.forEach(({ name }) => {
+        this.compareProductImage(name, options).then((result) =>
+          results.push(result)
+        );
+      });
+      return cy.wrap(results, { log: false });
     });
   }
 
+  compareFullPage(name = "inventory/page", options = {}) {
+    this.verifyProductImagesLoaded();
+    return cy.compareSnapshot(name, options);
+  }
+
   verifyButtonTextChanged(text) {
     this.getFirstProductButton().should("contain", text);
   }
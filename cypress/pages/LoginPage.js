@@ -1,64 +1,120 @@
-class LoginPage {
-  // Selectors
-  usernameInput = '[data-test="username"]';
-  passwordInput = '[data-test="password"]';
-  loginButton = '[data-test="login-button"]';
-  errorContainer = '[data-test="error"]';
-  loginLogo = ".login_logo";
+import BasePage from "./BasePage";
+import { Locator } from "../support/locator";
 
-  // Visit login page
-  visit() {
-    cy.visit("https://www.saucedemo.com/");
-  }
+class LoginPage extends BasePage {
+  path = "/";
+
+  // Locators
+  usernameInput = Locator.testId("username")
+    .or("#user-name")
+    .describe("username input");
+  passwordInput = Locator.testId("password")
+    .or("#password")
+    .describe("password input");
+  loginButton = Locator.testId("login-button")
+    .or("#login-button")
+    .describe("login button");
+  errorContainer = Locator.testId("error")
+    .or(".error-message-container h3")
+    .describe("error banner");
+  loginLogo = Locator.css(".login_logo").describe("Swag Labs logo");
+  inventoryItem = Locator.testId("inventory-item")
+    .or(".inventory_item")
+    .describe("product card");
 
   // Enter username
   enterUsername(username) {
-    cy.get(this.usernameInput).clear().type(username);
+    this.clearAndType(this.usernameInput, username);
   }
 
   // Enter password
   enterPassword(password) {
-    cy.get(this.passwordInput).clear().type(password);
+    this.clearAndType(this.passwordInput, password);
   }
 
   // Click login button
   clickLoginButton() {
-    cy.get(this.loginButton).click();
+    this.click(this.loginButton);
   }
 
-  // Perform login with credentials
+  // Perform login with credentials; an empty value leaves that field blank
   login(username, password) {
-    this.enterUsername(username);
-    this.enterPassword(password);
+    if (username) {
+      this.enterUsername(username);
+    }
+    if (password) {
+      this.enterPassword(password);
+    }
     this.clickLoginButton();
   }
 
+  // Log in and time it until the inventory shows its products ("login" budget)
+  measureLogin(username, password, options = {}) {
+    const { timeout, ...measureOptions } = options;
+    return this.measure(
+      "login",
+      () => {
+        this.login(username, password);
+        cy.url({ timeout }).should("include", "/inventory.html");
+        this.element(this.inventoryItem, { timeout }).should(
+          "have.length.greaterThan",
+          0
+        );
+      },
+      measureOptions
+    );
+  }
+
+  // After a login attempt: wait for the products or the error banner and
+  // yield { loggedIn, error }
+  getLoginOutcome(options = {}) {
+    return cy
+      .get("body", { log: false, ...options })
+      .should(($body) => {
+        expect(
+          this.inventoryItem.resolve($body).length +
+            this.errorContainer.resolve($body).length,
+          "products or login error"
+        ).to.be.greaterThan(0);
+      })
+      .then(($body) => ({
+        loggedIn: this.inventoryItem.resolve($body).length > 0,
+        error: this.errorContainer.resolve($body).text().trim() || null,
+      }));
+  }
+
   // Get error message
   getErrorMessage() {
-    return cy.get(this.errorContainer).invoke("text");
+    return this.getText(this.errorContainer);
   }
 
   // Verify error message is displayed
   verifyErrorMessageDisplayed() {
-    cy.get(this.errorContainer).should("be.visible");
+    this.element(this.errorContainer).should("be.visible");
   }
 
   // Verify login page is loaded
   verifyLoginPageLoaded() {
-    cy.get(this.loginLogo).should("be.visible");
-    cy.get(this.usernameInput).should("be.visible");
-    cy.get(this.passwordInput).should("be.visible");
-    cy.get(this.loginButton).should("be.visible");
+    this.element(this.loginLogo).should("be.visible");
+    this.element(this.usernameInput).should("be.visible");
+    this.element(this.passwordInput).should("be.visible");
+    this.element(this.loginButton).should("be.visible");
   }
 
   // Clear username field
   clearUsername() {
-    cy.get(this.usernameInput).clear();
+    this.clearInput(this.usernameInput);
   }
 
   // Clear password field
   clearPassword() {
-    cy.get(this.passwordInput).clear();
+    this.clearInput(this.passwordInput);
+  }
+
+  // Page loaded check used by open()
+  isLoaded() {
+    this.verifyLoginPageLoaded();
+    return this;
   }
 }
 
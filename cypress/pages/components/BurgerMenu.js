@@ -0,0 +1,70 @@
+import BasePage from "../BasePage";
+import { Locator } from "../../support/locator";
+
+// Burger menu in the header: All Items, About, Logout and Reset App State.
+// Every action opens the menu first, so callers do not have to.
+class BurgerMenu extends BasePage {
+  // Locators
+  openButton = Locator.css("#react-burger-menu-btn")
+    .or(Locator.role("button", { name: "Open Menu", exact: true }))
+    .describe("menu button");
+  closeButton = Locator.css("#react-burger-cross-btn")
+    .or(Locator.role("button", { name: "Close Menu", exact: true }))
+    .describe("close menu button");
+  panel = Locator.css(".bm-menu-wrap").describe("menu");
+  allItemsLink = Locator.testId("inventory-sidebar-link")
+    .or("#inventory_sidebar_link")
+    .describe('"All Items" link');
+  aboutLink = Locator.testId("about-sidebar-link")
+    .or("#about_sidebar_link")
+    .describe('"About" link');
+  logoutLink = Locator.testId("logout-sidebar-link")
+    .or("#logout_sidebar_link")
+    .describe('"Logout" link');
+  resetAppStateLink = Locator.testId("reset-sidebar-link")
+    .or("#reset_sidebar_link")
+    .describe('"Reset App State" link');
+
+  openMenu() {
+    this.click(this.openButton);
+    this.element(this.panel).should("be.visible");
+    return this;
+  }
+
+  closeMenu() {
+    this.click(this.closeButton);
+    this.element(this.panel).should("not.be.visible");
+    return this;
+  }
+
+  goToAllItems() {
+    this.openMenu();
+    this.click(this.allItemsLink);
+    return this;
+  }
+
+  // About leaves for saucelabs.com, so check where it points instead of
+  // following it
+  verifyAboutLink(url = "https://saucelabs.com/") {
+    this.openMenu();
+    this.assertAttributeEquals(this.aboutLink, "href", url);
+    this.closeMenu();
+  }
+
+  logout() {
+    this.openMenu();
+    this.click(this.logoutLink);
+    return this;
+  }
+
+  // Empty the cart and reset the product buttons while staying logged in
+  // and on the same page; the menu is closed again afterwards
+  resetAppState() {
+    this.openMenu();
+    this.click(this.resetAppStateLink);
+    this.closeMenu();
+    return this;
+  }
+}
+
+export default BurgerMenu;
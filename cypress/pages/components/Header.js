@@ -0,0 +1,46 @@
+import BasePage from "../BasePage";
+import { Locator } from "../../support/locator";
+
+// Header shown on every page after login: the cart link and its badge. The
+// burger menu on its left is the BurgerMenu component.
+class Header extends BasePage {
+  // Locators
+  root = Locator.testId("primary-header")
+    .or(".primary_header")
+    .describe("header");
+  cartLink = Locator.testId("shopping-cart-link")
+    .or(".shopping_cart_link")
+    .describe("cart link");
+  cartBadge = Locator.testId("shopping-cart-badge")
+    .or(".shopping_cart_badge")
+    .describe("cart badge");
+
+  openCart() {
+    this.click(this.cartLink);
+    return this;
+  }
+
+  // Number on the cart badge; 0 when there is no badge (empty cart)
+  getCartCount() {
+    return this.element(this.cartLink).then(
+      ($link) => parseInt(this.cartBadge.resolve($link).text(), 10) || 0
+    );
+  }
+
+  verifyCartCount(count) {
+    this.element(this.cartBadge).should("have.text", String(count));
+  }
+
+  verifyCartEmpty() {
+    this.element(this.cartBadge).should("not.exist");
+  }
+
+  // Loaded check: the header and its cart link are showing
+  isLoaded() {
+    this.element(this.root).should("be.visible");
+    this.element(this.cartLink).should("be.visible");
+    return this;
+  }
+}
+
+export default Header;
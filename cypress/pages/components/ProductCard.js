@@ -0,0 +1,147 @@
+import BasePage from "../BasePage";
+import { Locator } from "../../support/locator";
+
+// Card elements, looked up inside one card
+const CARD = Locator.testId("inventory-item")
+  .or(".inventory_item")
+  .describe("product card");
+const NAME = Locator.testId("inventory-item-name").or(".inventory_item_name");
+const DESCRIPTION = Locator.testId("inventory-item-desc").or(
+  ".inventory_item_desc"
+);
+const PRICE = Locator.testId("inventory-item-price").or(
+  ".inventory_item_price"
+);
+const IMAGE = Locator.css("img.inventory_item_img").or(Locator.role("img"));
+const IMAGE_CONTAINER = Locator.css(".inventory_item_img");
+const BUTTON = Locator.css("button.btn_inventory").or(Locator.role("button"));
+const ADD_TO_CART_BUTTON = Locator.css('button[id^="add-to-cart"]').or(
+  Locator.role("button", { name: "Add to cart", exact: true })
+);
+const REMOVE_BUTTON = Locator.css('button[id^="remove"]').or(
+  Locator.role("button", { name: "Remove", exact: true })
+);
+
+const parsePrice = (text) => parseFloat(text.replace("$", ""));
+
+// One product card on the inventory page: name, price and its "Add to cart" /
+// "Remove" button. Pick a card by exact name or by position, e.g.
+// ProductCard.named("Sauce Labs Backpack").addToCart(); page objects hand
+// them out too (inventoryPage.productCard(name)).
+class ProductCard extends BasePage {
+  // Card whose product name matches exactly, independent of its position
+  static named(name) {
+    return new ProductCard(
+      CARD.has(NAME.withText(name, { exact: true })).describe(
+        `product card "${name}"`
+      )
+    );
+  }
+
+  // Card at a 0-based position in display order
+  static at(index) {
+    return new ProductCard(CARD.nth(index).describe(`product card [${index}]`));
+  }
+
+  // Card contents from a card element as
+  // { name, description, price, imageSrc, buttonText, inCart }
+  static readCard($card) {
+    const $button = BUTTON.resolve($card);
+    return {
+      name: NAME.resolve($card).text().trim(),
+      description: DESCRIPTION.resolve($card).text().trim(),
+      price: parsePrice(PRICE.resolve($card).text()),
+      imageSrc: IMAGE.resolve($card).attr("src"),
+      buttonText: $button.text().trim(),
+      inCart: REMOVE_BUTTON.resolve($card).is($button),
+    };
+  }
+
+  constructor(root) {
+    super();
+    this.root = root;
+
+    // Locators, scoped to this card
+    this.nameLabel = this.part(NAME, "name");
+    this.descriptionLabel = this.part(DESCRIPTION, "description");
+    this.priceLabel = this.part(PRICE, "price");
+    this.image = this.part(IMAGE, "image");
+    this.imageContainer = this.part(IMAGE_CONTAINER, "image container");
+    this.button = this.part(BUTTON, "button");
+    this.addToCartButton = this.part(
+      ADD_TO_CART_BUTTON,
+      '"Add to cart" button'
+    );
+    this.removeButton = this.part(REMOVE_BUTTON, '"Remove" button');
+  }
+
+  // Card element inside this card, described after the card
+  part(locator, label) {
+    return locator
+      .within(this.root)
+      .describe(`${this.root.description} ${label}`);
+  }
+
+  // The card element; fails unless exactly one card matches
+  get() {
+    return this.element(this.root).should("have.length", 1);
+  }
+
+  getName() {
+    return this.getText(this.nameLabel).then((name) => name.trim());
+  }
+
+  getPrice() {
+    return this.getText(this.priceLabel).then(parsePrice);
+  }
+
+  getButton() {
+    return this.element(this.button);
+  }
+
+  // This card's contents, see ProductCard.readCard
+  read() {
+    return this.get().then(($card) => ProductCard.readCard($card));
+  }
+
+  addToCart() {
+    this.click(this.addToCartButton);
+    return this;
+  }
+
+  removeFromCart() {
+    this.click(this.removeButton);
+    return this;
+  }
+
+  // Click the button whatever it currently says
+  clickButton() {
+    this.click(this.button);
+    return this;
+  }
+
+  openDetails() {
+    this.click(this.nameLabel);
+    return this;
+  }
+
+  verifyButtonText(text) {
+    this.getButton().should("have.text", text);
+  }
+
+  verifyInCart() {
+    this.verifyButtonText("Remove");
+  }
+
+  verifyNotInCart() {
+    this.verifyButtonText("Add to cart");
+  }
+
+  // Loaded check: exactly one card matches and it is showing
+  isLoaded() {
+    this.get().should("be.visible");
+    return this;
+  }
+}
+
+export default ProductCard;
@@ -0,0 +1,37 @@
+// events.js - Lets several plugins listen to the same setupNodeEvents event
+// Cypress keeps only the last handler registered for an event such as
+// "after:spec" or "after:run" (tasks are the exception: they are merged).
+// multiplexEvents wraps `on` so every handler runs, in registration order.
+
+/**
+ * Wrap the setupNodeEvents `on` so an event can have several handlers
+ * @param {Function} on - Cypress plugin event registrar
+ * @returns {Function} Registrar with the same signature
+ */
+function multiplexEvents(on) {
+  const handlers = {};
+
+  return function register(event, handler) {
+    if (event === "task") {
+      on(event, handler);
+      return;
+    }
+
+    if (!handlers[event]) {
+      handlers[event] = [];
+      on(event, async (...args) => {
+        let result;
+        for (const eventHandler of handlers[event]) {
+          const value = await eventHandler(...args);
+          if (value !== undefined) {
+            result = value;
+          }
+        }
+        return result;
+      });
+    }
+    handlers[event].push(handler);
+  };
+}
+
+module.exports = { multiplexEvents };
@@ -0,0 +1,361 @@
+// flaky.js - Flaky test detection from retry data
+//
+// Every `cypress run` appends each test's outcome to a local history
+// (cypress/flaky/history.json, git-ignored) and prints a summary at the end:
+// tests that passed only after a retry, quarantined failures, and tests whose
+// flakiness score is at or above the threshold.
+//
+// Parallel workers (env PARALLEL_WORKER) never touch the history: each saves
+// its specs' outcomes under cypress/reports/results/flaky, and
+// scripts/run-parallel.js records them as one run when all workers are done.
+//
+// Flakiness score: share of a test's recorded runs that were unstable, i.e.
+// passed after a failed attempt, or failed while the same test passed in
+// another recorded run. A test that fails every run is broken, not flaky, and
+// scores 0.
+//
+// Quarantine: a failing test tagged @quarantine is logged instead of failing
+// the run (see cypress/support/flaky.js). With quarantine switched on
+// (env flaky.quarantine or QUARANTINE_FLAKY=true), tests over the threshold
+// are quarantined the same way without a tag.
+
+const fs = require("fs");
+const path = require("path");
+const { reportPaths } = require("./reporting");
+
+const HISTORY_FILE = "cypress/flaky/history.json";
+
+const DEFAULTS = {
+  threshold: 0.3,
+  minRuns: 3,
+  historySize: 20,
+  quarantine: false,
+};
+
+// Tests whose failure was quarantined during the current run
+const quarantinedFailures = new Set();
+
+/**
+ * History key of a test, e.g. "cypress/e2e/cart.cy.js > Cart > adds an item"
+ * @param {string} spec - Spec path relative to the project root
+ * @param {string[]} title - Suite and test titles
+ * @returns {string} Test id
+ */
+function testId(spec, title) {
+  return [spec, ...title].join(" > ");
+}
+
+/**
+ * Resolve the flaky settings from the config env
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} threshold, minRuns, historySize and quarantine
+ */
+function flakySettings(config) {
+  const settings = { ...DEFAULTS, ...config.env.flaky };
+  const toggle = config.env.QUARANTINE_FLAKY || process.env.QUARANTINE_FLAKY;
+  if (toggle !== undefined) {
+    settings.quarantine = String(toggle) === "true";
+  }
+  return settings;
+}
+
+/**
+ * Read the run history
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object} { tests: { [id]: { spec, title, runs } } }
+ */
+function readHistory(projectRoot) {
+  const file = path.join(projectRoot, HISTORY_FILE);
+  if (!fs.existsSync(file)) {
+    return { tests: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeHistory(projectRoot, history) {
+  const file = path.join(projectRoot, HISTORY_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(history, null, 2)}\n`);
+}
+
+/**
+ * Flakiness score of one test's recorded runs
+ * @param {object[]} runs - Runs from the history, each { state, flaky }
+ * @returns {number} Score from 0 (stable) to 1 (unstable every run)
+ */
+function flakinessScore(runs) {
+  if (runs.length === 0) {
+    return 0;
+  }
+  const flakyRuns = runs.filter((run) => run.flaky).length;
+  const failedRuns = runs.filter((run) => run.state === "failed").length;
+  const intermittent = failedRuns < runs.length ? failedRuns : 0;
+  return (flakyRuns + intermittent) / runs.length;
+}
+
+/**
+ * Score every test in the history
+ * @param {object} history - History from readHistory()
+ * @param {object} settings - Settings from flakySettings()
+ * @returns {object[]} { id, spec, title, runs, score, overThreshold }, highest score first
+ */
+function scoreHistory(history, settings) {
+  return Object.entries(history.tests)
+    .map(([id, test]) => {
+      const score = flakinessScore(test.runs);
+      return {
+        id,
+        spec: test.spec,
+        title: test.title,
+        runs: test.runs.length,
+        score,
+        overThreshold:
+          test.runs.length >= settings.minRuns && score >= settings.threshold,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/**
+ * Append one run's outcomes to the history, keeping the last historySize runs
+ * per test
+ * @param {object} history - History from readHistory()
+ * @param {object[]} outcomes - { spec, title, state, attempts, flaky, quarantined }
+ * @param {object} settings - Settings from flakySettings()
+ * @param {string} date - ISO timestamp of the run
+ * @returns {object} The updated history
+ */
+function recordRun(history, outcomes, settings, date) {
+  outcomes.forEach(({ spec, title, state, attempts, flaky, quarantined }) => {
+    const id = testId(spec, title);
+    const test = history.tests[id] || { spec, title, runs: [] };
+    test.runs = [
+      ...test.runs,
+      { date, state, attempts, flaky, quarantined },
+    ].slice(-settings.historySize);
+    history.tests[id] = test;
+  });
+  return history;
+}
+
+/**
+ * Record a run's outcomes in the history and rewrite it
+ * @param {string} projectRoot - Cypress project root
+ * @param {object[]} outcomes - The whole run's outcomes
+ * @param {object} settings - Settings from flakySettings()
+ * @returns {object} The updated history
+ */
+function recordHistory(projectRoot, outcomes, settings) {
+  const history = recordRun(
+    readHistory(projectRoot),
+    outcomes,
+    settings,
+    new Date().toISOString()
+  );
+  writeHistory(projectRoot, history);
+  return history;
+}
+
+function outcomesFolder(projectRoot) {
+  return path.join(reportPaths(projectRoot).results, "flaky");
+}
+
+/**
+ * Save one spec's outcomes for scripts/run-parallel.js (parallel workers)
+ * @param {string} projectRoot - Cypress project root
+ * @param {string} specRelative - Spec path relative to the project root
+ * @param {object[]} outcomes - Outcomes from specOutcomes()
+ * @param {object} settings - Settings from flakySettings()
+ */
+function saveSpecOutcomes(projectRoot, specRelative, outcomes, settings) {
+  const folder = outcomesFolder(projectRoot);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, `${specRelative.replace(/[\\/]/g, "__")}.json`),
+    `${JSON.stringify({ settings, outcomes }, null, 2)}\n`
+  );
+}
+
+/**
+ * Read the outcomes parallel workers saved during this run
+ * @param {string} projectRoot - Cypress project root
+ * @returns {{settings: object|null, outcomes: object[]}} The workers' resolved
+ *   settings (null when nothing was saved) and every spec's outcomes
+ */
+function readSavedOutcomes(projectRoot) {
+  const folder = outcomesFolder(projectRoot);
+  const saved = { settings: null, outcomes: [] };
+  if (!fs.existsSync(folder)) {
+    return saved;
+  }
+  fs.readdirSync(folder)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const { settings, outcomes } = JSON.parse(
+        fs.readFileSync(path.join(folder, file), "utf8")
+      );
+      saved.settings = saved.settings || settings;
+      saved.outcomes.push(...outcomes);
+    });
+  return saved;
+}
+
+/**
+ * Outcomes of one spec from the after:spec results
+ * @param {object} spec - Spec from the after:spec event
+ * @param {object} results - Results from the after:spec event
+ * @returns {object[]} { spec, title, state, attempts, flaky, quarantined }
+ */
+function specOutcomes(spec, results) {
+  return (results.tests || [])
+    .filter((test) => ["passed", "failed"].includes(test.state))
+    .map((test) => {
+      const attempts = test.attempts || [];
+      const quarantined = quarantinedFailures.has(
+        testId(spec.relative, test.title)
+      );
+      return {
+        spec: spec.relative,
+        title: test.title,
+        // A quarantined failure reaches Cypress as a pass; record what happened
+        state: quarantined ? "failed" : test.state,
+        attempts: attempts.length,
+        flaky:
+          !quarantined &&
+          test.state === "passed" &&
+          attempts.some((attempt) => attempt.state === "failed"),
+        quarantined,
+      };
+    });
+}
+
+/**
+ * Remember that a test's failure was quarantined in this run
+ * (called through the recordQuarantined task)
+ * @param {string[]} ids - Test ids from testId()
+ */
+function markQuarantined(ids) {
+  ids.forEach((id) => quarantinedFailures.add(id));
+}
+
+/**
+ * Text summary printed at the end of the run
+ * @param {object[]} outcomes - This run's outcomes
+ * @param {object[]} scores - Scores from scoreHistory()
+ * @param {object} settings - Settings from flakySettings()
+ * @returns {string} Summary, one test per line
+ */
+function formatSummary(outcomes, scores, settings) {
+  const flaky = outcomes.filter((outcome) => outcome.flaky);
+  const quarantined = outcomes.filter((outcome) => outcome.quarantined);
+  const overThreshold = scores.filter((score) => score.overThreshold);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  const lines = ["", "  Flaky tests"];
+  lines.push(
+    flaky.length > 0
+      ? `    Passed after a retry this run (${flaky.length}):`
+      : "    No test needed a retry this run."
+  );
+  flaky.forEach((outcome) =>
+    lines.push(
+      `      - ${testId(outcome.spec, outcome.title)} (attempt ${outcome.attempts})`
+    )
+  );
+  if (quarantined.length > 0) {
+    lines.push(`    Quarantined failures (${quarantined.length}):`);
+    quarantined.forEach((outcome) =>
+      lines.push(`      - ${testId(outcome.spec, outcome.title)}`)
+    );
+  }
+  if (overThreshold.length > 0) {
+    lines.push(
+      `    Flakiness score >= ${percent(settings.threshold)} over at least ${
+        settings.minRuns
+      } runs (${overThreshold.length}):`
+    );
+    overThreshold.forEach((score) =>
+      lines.push(
+        `      - ${percent(score.score)} ${score.id} (${score.runs} runs)`
+      )
+    );
+    if (!settings.quarantine) {
+      lines.push(
+        "    Tag these @quarantine, or run with QUARANTINE_FLAKY=true, to keep their failures from failing the build."
+      );
+    }
+  }
+  lines.push(`    History: ${HISTORY_FILE}`);
+  return lines.join("\n");
+}
+
+/**
+ * Register flaky detection: pass the auto-quarantine list to the browser,
+ * collect each spec's outcomes and update the history when the run ends
+ * @param {Function} on - Event registrar (see multiplexEvents)
+ * @param {object} config - Resolved Cypress config; env.flaky is filled in
+ */
+function registerFlakyDetection(on, config) {
+  const settings = flakySettings(config);
+  const quarantined = settings.quarantine
+    ? scoreHistory(readHistory(config.projectRoot), settings)
+        .filter((score) => score.overThreshold)
+        .map((score) => score.id)
+    : [];
+  config.env.flaky = { ...settings, quarantined };
+
+  let outcomes = [];
+
+  on("before:run", () => {
+    outcomes = [];
+    quarantinedFailures.clear();
+  });
+
+  on("after:spec", (spec, results) => {
+    if (!results) {
+      return;
+    }
+    const specResults = specOutcomes(spec, results);
+    outcomes.push(...specResults);
+    if (config.env.PARALLEL_WORKER) {
+      saveSpecOutcomes(
+        config.projectRoot,
+        spec.relative,
+        specResults,
+        settings
+      );
+    }
+  });
+
+  on("after:run", () => {
+    if (
+      !config.isTextTerminal ||
+      config.env.PARALLEL_WORKER ||
+      outcomes.length === 0
+    ) {
+      return;
+    }
+    const history = recordHistory(config.projectRoot, outcomes, settings);
+    console.log(
+      formatSummary(outcomes, scoreHistory(history, settings), settings)
+    );
+  });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  testId,
+  flakySettings,
+  readHistory,
+  flakinessScore,
+  scoreHistory,
+  recordRun,
+  recordHistory,
+  saveSpecOutcomes,
+  readSavedOutcomes,
+  specOutcomes,
+  markQuarantined,
+  formatSummary,
+  registerFlakyDetection,
+};
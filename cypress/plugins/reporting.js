@@ -0,0 +1,626 @@
+// reporting.js - Post-run reports: merged mochawesome report, JUnit XML for CI
+// and the HTML dashboard
+//
+// Layout under cypress/reports:
+//   mochawesome/            per-spec JSON written by the mochawesome reporter
+//   junit/                  per-spec JUnit XML written by mocha-junit-reporter,
+//                           rewritten after the run so every test name carries
+//                           its spec path and failure screenshots are attached
+//   results/                per-spec results (attempts, screenshots, video) from after:spec,
+//                           and the parallel workers' performance and a11y reports
+//   merged/mochawesome.*    every spec merged into one mochawesome report
+//   dashboard.html          pass/fail/flaky per spec and per imported page
+//                           object, with failure screenshots and videos embedded
+//
+// Runs after every `cypress run`; `npm run report:merge` rebuilds it on demand.
+// Parallel workers started by scripts/run-parallel.js (env PARALLEL_WORKER)
+// leave clearing and merging to the runner.
+
+const fs = require("fs");
+const path = require("path");
+const { merge } = require("mochawesome-merge");
+const marge = require("mochawesome-report-generator");
+
+const REPORTS_FOLDER = "cypress/reports";
+const PAGES_FOLDER = "cypress/pages";
+
+/**
+ * Resolve the report folders for a project
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object} Absolute paths
+ */
+function reportPaths(projectRoot) {
+  const root = path.join(projectRoot, REPORTS_FOLDER);
+  return {
+    root,
+    mochawesome: path.join(root, "mochawesome"),
+    junit: path.join(root, "junit"),
+    results: path.join(root, "results"),
+    merged: path.join(root, "merged"),
+    dashboard: path.join(root, "dashboard.html"),
+    selectorDrift: path.join(root, "selector-drift"),
+  };
+}
+
+// Cypress names a test's screenshots after its titles, each stripped of what a
+// file name cannot hold, joined by " -- ": "<titles> (failed)" for the failure
+// screenshot, plus " (attempt N)" after a retry and " (1)" for a repeat. It cuts
+// names longer than the file system allows, so those match by prefix
+const SCREENSHOT_NAME_MAX_BYTES = 250;
+
+function screenshotNames(title, attempts) {
+  const titles = title
+    .map((part) =>
+      part.replace(/[/?<>\\:*|"\x00-\x1f\x80-\x9f]/g, "").replace(/[. ]+$/, "")
+    )
+    .join(" -- ");
+  return ["", " (failed)"].flatMap((failed) =>
+    Array.from(
+      { length: Math.max(attempts, 1) },
+      (_, i) => `${titles}${failed}${i > 0 ? ` (attempt ${i + 1})` : ""}`
+    )
+  );
+}
+
+function isScreenshotOf(file, names) {
+  const name = path.basename(file, ".png").replace(/ \(\d+\)$/, "");
+  const bytes = Buffer.byteLength(name);
+  return names.some(
+    (candidate) =>
+      candidate === name ||
+      (bytes >= SCREENSHOT_NAME_MAX_BYTES &&
+        Buffer.from(candidate).subarray(0, bytes).toString() === name)
+  );
+}
+
+/**
+ * Summarize the results Cypress passes to after:spec
+ * @param {object} spec - Spec from the after:spec event
+ * @param {object} results - Results from the after:spec event
+ * @returns {object} Spec summary written to cypress/reports/results
+ */
+function summarizeSpec(spec, results) {
+  const screenshots = results.screenshots || [];
+
+  return {
+    spec: spec.relative,
+    stats: results.stats,
+    video: results.video || null,
+    tests: (results.tests || []).map((test) => {
+      const attempts = test.attempts || [];
+      const names = screenshotNames(test.title, attempts.length);
+      return {
+        title: test.title,
+        state: test.state,
+        attempts: attempts.length,
+        flaky:
+          test.state === "passed" &&
+          attempts.some((attempt) => attempt.state === "failed"),
+        error: test.displayError || null,
+        screenshots: screenshots
+          .filter((screenshot) => isScreenshotOf(screenshot.path, names))
+          .map((screenshot) => screenshot.path),
+      };
+    }),
+  };
+}
+
+/**
+ * Page objects a spec imports, following its relative imports (so specs that go
+ * through flows or components still count for the pages underneath). This is
+ * reachability, not use: cypress/flows/index.js reaches every page, so the
+ * dashboard labels these numbers as "specs importing it"
+ * @param {string} projectRoot - Cypress project root
+ * @param {string} specRelative - Spec path relative to the project root
+ * @returns {string[]} Page object names, e.g. ["CartPage", "InventoryPage"]
+ */
+function pageObjectsForSpec(projectRoot, specRelative) {
+  const pagesDir = path.join(projectRoot, PAGES_FOLDER);
+  const seen = new Set();
+  const pages = new Set();
+
+  const visit = (file) => {
+    if (seen.has(file) || !fs.existsSync(file)) {
+      return;
+    }
+    seen.add(file);
+    if (file.startsWith(pagesDir) && path.basename(file) !== "BasePage.js") {
+      pages.add(path.basename(file, ".js"));
+    }
+
+    const source = fs.readFileSync(file, "utf8");
+    for (const [, specifier] of source.matchAll(
+      /(?:import|export)\s[^;]*?from\s+["'](\.{1,2}\/[^"']+)["']/g
+    )) {
+      const target = path.resolve(path.dirname(file), specifier);
+      visit(target.endsWith(".js") ? target : `${target}.js`);
+      visit(path.join(target, "index.js"));
+    }
+  };
+
+  visit(path.join(projectRoot, specRelative));
+  return [...pages].sort();
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function countTests(tests) {
+  return {
+    tests: tests.length,
+    passed: tests.filter((test) => test.state === "passed" && !test.flaky)
+      .length,
+    failed: tests.filter((test) => test.state === "failed").length,
+    flaky: tests.filter((test) => test.flaky).length,
+    skipped: tests.filter((test) => !["passed", "failed"].includes(test.state))
+      .length,
+  };
+}
+
+function countCells(counts) {
+  return ["tests", "passed", "failed", "flaky", "skipped"]
+    .map(
+      (key) =>
+        `<td class="num ${key}${counts[key] > 0 ? " nonzero" : ""}">${counts[key]}</td>`
+    )
+    .join("");
+}
+
+function embedImage(file) {
+  if (!fs.existsSync(file)) {
+    return "";
+  }
+  const data = fs.readFileSync(file).toString("base64");
+  return `<img src="data:image/png;base64,${data}" alt="${escapeHtml(
+    path.basename(file)
+  )}">`;
+}
+
+/**
+ * Render the dashboard HTML from the per-spec summaries
+ * @param {object[]} specs - Summaries from summarizeSpec(), each with `pageObjects`
+ * @param {string} reportDir - Folder the dashboard is written to (for relative links)
+ * @returns {string} Self-contained HTML page (screenshots inlined, videos linked)
+ */
+function renderDashboard(specs, reportDir) {
+  const allTests = specs.flatMap((spec) => spec.tests);
+  const totals = countTests(allTests);
+  const relative = (file) =>
+    path.relative(reportDir, file).split(path.sep).join("/");
+
+  const pageObjects = {};
+  specs.forEach((spec) => {
+    spec.pageObjects.forEach((name) => {
+      pageObjects[name] = pageObjects[name] || { specs: [], tests: [] };
+      pageObjects[name].specs.push(spec.spec);
+      pageObjects[name].tests.push(...spec.tests);
+    });
+  });
+
+  const specRows = specs
+    .map((spec) => {
+      const hasFailures = spec.tests.some((test) => test.state === "failed");
+      const video =
+        spec.video && fs.existsSync(spec.video)
+          ? `<a href="${escapeHtml(relative(spec.video))}">video</a>`
+          : "";
+      return `<tr class="${hasFailures ? "failed" : ""}"><td>${escapeHtml(
+        spec.spec
+      )}</td>${countCells(countTests(spec.tests))}<td>${video}</td></tr>`;
+    })
+    .join("\n");
+
+  const pageRows = Object.keys(pageObjects)
+    .sort()
+    .map(
+      (name) =>
+        `<tr><td>${escapeHtml(name)}</td><td class="num">${
+          pageObjects[name].specs.length
+        }</td>${countCells(countTests(pageObjects[name].tests))}</tr>`
+    )
+    .join("\n");
+
+  const failures = specs
+    .flatMap((spec) =>
+      spec.tests
+        .filter((test) => test.state === "failed")
+        .map((test) => ({ spec, test }))
+    )
+    .map(
+      ({ spec, test }) => `<section class="failure">
+  <h3>${escapeHtml(test.title.join(" › "))}</h3>
+  <p class="spec">${escapeHtml(spec.spec)} · ${test.attempts} attempt(s)</p>
+  <pre>${escapeHtml(test.error)}</pre>
+  ${test.screenshots.map(embedImage).join("\n  ")}
+  ${
+    spec.video && fs.existsSync(spec.video)
+      ? `<video controls preload="none" src="${escapeHtml(relative(spec.video))}"></video>`
+      : ""
+  }
+</section>`
+    )
+    .join("\n");
+
+  const flaky = specs
+    .flatMap((spec) =>
+      spec.tests
+        .filter((test) => test.flaky)
+        .map(
+          (test) =>
+            `<li>${escapeHtml(test.title.join(" › "))} <span class="spec">${escapeHtml(
+              spec.spec
+            )} · passed on attempt ${test.attempts}</span></li>`
+        )
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Cypress Run Dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #132322; }
+  h1 { margin-bottom: 0.25rem; }
+  .totals { display: flex; gap: 1rem; margin: 1rem 0 2rem; }
+  .totals div { padding: 0.75rem 1.25rem; border-radius: 6px; background: #eef1f1; }
+  .totals strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; min-width: 60%; }
+  th, td { padding: 0.4rem 0.75rem; border-bottom: 1px solid #d5dada; text-align: left; }
+  td.num { text-align: right; }
+  td.failed.nonzero { color: #e2231a; font-weight: bold; }
+  td.flaky.nonzero { color: #b36b00; font-weight: bold; }
+  tr.failed td:first-child { border-left: 4px solid #e2231a; }
+  .failure { border: 1px solid #d5dada; border-radius: 6px; padding: 1rem; margin-bottom: 1.5rem; }
+  .failure img, .failure video { max-width: 100%; display: block; margin-top: 0.75rem; }
+  .spec { color: #5c6b6b; font-size: 0.9rem; }
+  pre { white-space: pre-wrap; background: #fbeaea; padding: 0.75rem; }
+</style>
+</head>
+<body>
+<h1>Cypress Run Dashboard</h1>
+<p class="spec">Full test-by-test report: <a href="merged/mochawesome.html">merged/mochawesome.html</a></p>
+<div class="totals">
+  <div><strong>${specs.length}</strong>specs</div>
+  <div><strong>${totals.tests}</strong>tests</div>
+  <div><strong>${totals.passed}</strong>passed</div>
+  <div><strong>${totals.failed}</strong>failed</div>
+  <div><strong>${totals.flaky}</strong>flaky</div>
+  <div><strong>${totals.skipped}</strong>skipped</div>
+</div>
+
+<h2>By Spec</h2>
+<table>
+<tr><th>Spec</th><th>Tests</th><th>Passed</th><th>Failed</th><th>Flaky</th><th>Skipped</th><th></th></tr>
+${specRows}
+</table>
+
+<h2>By Page Object</h2>
+<p>Specs importing each page object, directly or through flows and components, and every test in those specs. A spec counts toward each page object it can reach, so these numbers show exposure, not tests aimed at that page.</p>
+<table>
+<tr><th>Page object</th><th>Specs importing it</th><th>Tests in those specs</th><th>Passed</th><th>Failed</th><th>Flaky</th><th>Skipped</th></tr>
+${pageRows}
+</table>
+
+<h2>Failures</h2>
+${failures || "<p>No failures.</p>"}
+
+<h2>Flaky Tests</h2>
+${flaky ? `<ul>${flaky}</ul>` : "<p>No flaky tests.</p>"}
+</body>
+</html>
+`;
+}
+
+function escapeXml(value) {
+  return escapeHtml(value).replace(/'/g, "&apos;");
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function setAttribute(tag, name, value) {
+  const attribute = `${name}="${escapeXml(value)}"`;
+  const pattern = new RegExp(`\\s${name}="[^"]*"`);
+  return pattern.test(tag)
+    ? tag.replace(pattern, ` ${attribute}`)
+    : tag.replace(/^<testcase/, `<testcase ${attribute}`);
+}
+
+/**
+ * Rewrite one mocha-junit-reporter file: each testcase is named
+ * "<spec> > <suite> > <test>" with the spec path as its classname, and the
+ * test's screenshots are attached as [[ATTACHMENT|path]] lines in system-out
+ * (the convention the Jenkins and GitLab JUnit parsers read)
+ * @param {string} xml - JUnit XML for one spec
+ * @param {string} spec - Spec path relative to the project root
+ * @param {object[]} tests - Tests of the spec's summary from summarizeSpec()
+ * @returns {string} Rewritten XML; unchanged when it was already rewritten
+ */
+function decorateJUnit(xml, spec, tests = []) {
+  const byFullTitle = new Map(
+    tests.map((test) => [test.title.join(" "), test])
+  );
+
+  return xml.replace(
+    /<testcase\b[^>]*?(\/>|>[\s\S]*?<\/testcase>)/g,
+    (testcase) => {
+      const [openTag] = testcase.match(/^<testcase\b[^>]*?\/?>/);
+      const classname = (openTag.match(/\sclassname="([^"]*)"/) || [])[1];
+      if (classname !== undefined && unescapeXml(classname) === spec) {
+        return testcase;
+      }
+
+      const fullTitle = unescapeXml(
+        (openTag.match(/\sname="([^"]*)"/) || [])[1] || ""
+      );
+      const test = byFullTitle.get(fullTitle);
+      const titlePath = test ? test.title.join(" > ") : fullTitle;
+
+      let tag = setAttribute(openTag, "name", `${spec} > ${titlePath}`);
+      tag = setAttribute(tag, "classname", spec);
+
+      const attachments =
+        test && test.screenshots.length > 0
+          ? `<system-out><![CDATA[${test.screenshots
+              .map((screenshot) => `[[ATTACHMENT|${screenshot}]]`)
+              .join("\n")}]]></system-out>`
+          : "";
+
+      if (openTag.endsWith("/>")) {
+        return attachments
+          ? `${tag.replace(/\s*\/>$/, ">")}${attachments}</testcase>`
+          : tag;
+      }
+      return `${tag}${testcase
+        .slice(openTag.length)
+        .replace(/<\/testcase>$/, `${attachments}</testcase>`)}`;
+    }
+  );
+}
+
+/**
+ * Rewrite every JUnit file under cypress/reports/junit with spec paths and
+ * screenshot attachments (see decorateJUnit)
+ * @param {string} projectRoot - Cypress project root
+ * @param {object[]} specs - Spec summaries from summarizeSpec()
+ * @returns {string[]} JUnit files found
+ */
+function decorateJUnitReports(projectRoot, specs) {
+  const paths = reportPaths(projectRoot);
+  if (!fs.existsSync(paths.junit)) {
+    return [];
+  }
+  const bySpec = new Map(specs.map((spec) => [spec.spec, spec]));
+
+  const files = fs
+    .readdirSync(paths.junit)
+    .filter((file) => file.endsWith(".xml"))
+    .map((file) => path.join(paths.junit, file));
+
+  files.forEach((file) => {
+    const xml = fs.readFileSync(file, "utf8");
+    // Cypress sets the root suite's file to the spec being run
+    const specFile = (xml.match(/<testsuite\b[^>]*?\sfile="([^"]+)"/) || [])[1];
+    if (!specFile) {
+      return;
+    }
+    const spec = path
+      .relative(projectRoot, path.resolve(projectRoot, unescapeXml(specFile)))
+      .split(path.sep)
+      .join("/");
+    const summary = bySpec.get(spec);
+    fs.writeFileSync(
+      file,
+      decorateJUnit(xml, spec, summary ? summary.tests : [])
+    );
+  });
+
+  return files;
+}
+
+/**
+ * Read the per-spec summaries written by after:spec
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object[]} Summaries from summarizeSpec(), sorted by spec path
+ */
+function readSpecResults(projectRoot) {
+  const paths = reportPaths(projectRoot);
+  if (!fs.existsSync(paths.results)) {
+    return [];
+  }
+  return fs
+    .readdirSync(paths.results)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(paths.results, file), "utf8"))
+    )
+    .sort((a, b) => a.spec.localeCompare(b.spec));
+}
+
+function workerReportsFolder(projectRoot, kind) {
+  return path.join(reportPaths(projectRoot).results, kind);
+}
+
+/**
+ * Save a parallel worker's per-run report (performance timings, a11y audits)
+ * for scripts/run-parallel.js to merge, instead of writing latest.json
+ * @param {string} projectRoot - Cypress project root
+ * @param {string} kind - Report folder under cypress/reports, e.g. "performance"
+ * @param {string|number} worker - Worker number (env PARALLEL_WORKER)
+ * @param {object} report - The worker's report so far
+ */
+function saveWorkerReport(projectRoot, kind, worker, report) {
+  const folder = workerReportsFolder(projectRoot, kind);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, `worker-${worker}.json`),
+    `${JSON.stringify(report, null, 2)}\n`
+  );
+}
+
+/**
+ * Merge the workers' reports of one kind into a single run, written the way a
+ * single `cypress run` writes it: <prefix>-<start time>.json and latest.json
+ * @param {string} projectRoot - Cypress project root
+ * @param {string} kind - Report folder under cypress/reports, e.g. "performance"
+ * @param {string} prefix - Run file prefix, e.g. "timings"
+ * @param {string} listKey - Key of the entries to merge, e.g. "timings"
+ * @returns {string|null} The run file, or null when no worker saved a report
+ */
+function mergeWorkerReports(projectRoot, kind, prefix, listKey) {
+  const folder = workerReportsFolder(projectRoot, kind);
+  const reports = fs.existsSync(folder)
+    ? fs
+        .readdirSync(folder)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map((file) =>
+          JSON.parse(fs.readFileSync(path.join(folder, file), "utf8"))
+        )
+    : [];
+  if (reports.length === 0) {
+    return null;
+  }
+
+  const startedAt = reports.map((report) => report.startedAt).sort()[0];
+  const merged = {
+    ...reports[0],
+    startedAt,
+    [listKey]: reports
+      .flatMap((report) => report[listKey])
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt)),
+  };
+  const reportDir = path.join(reportPaths(projectRoot).root, kind);
+  const runFile = path.join(
+    reportDir,
+    `${prefix}-${startedAt.replace(/[:.]/g, "-")}.json`
+  );
+  const content = `${JSON.stringify(merged, null, 2)}\n`;
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(runFile, content);
+  fs.writeFileSync(path.join(reportDir, "latest.json"), content);
+  return runFile;
+}
+
+/**
+ * Empty the folders a run writes reports into
+ * @param {string} projectRoot - Cypress project root
+ */
+function clearReports(projectRoot) {
+  const paths = reportPaths(projectRoot);
+  [
+    paths.mochawesome,
+    paths.junit,
+    paths.results,
+    paths.merged,
+    paths.selectorDrift,
+  ].forEach((folder) => fs.rmSync(folder, { recursive: true, force: true }));
+}
+
+/**
+ * Merge the mochawesome JSON, render its HTML, finish the JUnit XML and write
+ * the dashboard
+ * @param {string} projectRoot - Cypress project root
+ * @returns {Promise<{merged: string|null, junit: string[], dashboard: string}>} Paths written
+ */
+async function generateReports(projectRoot) {
+  const paths = reportPaths(projectRoot);
+  let merged = null;
+
+  const mochawesomeFiles = fs.existsSync(paths.mochawesome)
+    ? fs
+        .readdirSync(paths.mochawesome)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => path.join(paths.mochawesome, file))
+    : [];
+
+  if (mochawesomeFiles.length > 0) {
+    const report = await merge({ files: mochawesomeFiles });
+    fs.mkdirSync(paths.merged, { recursive: true });
+    merged = path.join(paths.merged, "mochawesome.json");
+    fs.writeFileSync(merged, JSON.stringify(report, null, 2));
+    await marge.create(report, {
+      reportDir: paths.merged,
+      reportFilename: "mochawesome",
+      reportTitle: "Cypress Run",
+      inline: true,
+      saveJson: false,
+    });
+  }
+
+  const specs = readSpecResults(projectRoot).map((spec) => ({
+    ...spec,
+    pageObjects: pageObjectsForSpec(projectRoot, spec.spec),
+  }));
+
+  const junit = decorateJUnitReports(projectRoot, specs);
+
+  fs.mkdirSync(paths.root, { recursive: true });
+  fs.writeFileSync(paths.dashboard, renderDashboard(specs, paths.root));
+  return { merged, junit, dashboard: paths.dashboard };
+}
+
+/**
+ * Register the reporting hooks: start each run with empty report folders,
+ * record every spec's results and build the reports when the run ends
+ * @param {Function} on - Event registrar (see multiplexEvents)
+ * @param {object} config - Resolved Cypress config
+ */
+function registerReporting(on, config) {
+  const paths = reportPaths(config.projectRoot);
+  const ownsReports = config.isTextTerminal && !config.env.PARALLEL_WORKER;
+
+  on("before:run", () => {
+    if (ownsReports) {
+      clearReports(config.projectRoot);
+    }
+  });
+
+  on("after:spec", (spec, results) => {
+    if (!results) {
+      return;
+    }
+    fs.mkdirSync(paths.results, { recursive: true });
+    fs.writeFileSync(
+      path.join(paths.results, `${spec.relative.replace(/[\\/]/g, "__")}.json`),
+      `${JSON.stringify(summarizeSpec(spec, results), null, 2)}\n`
+    );
+  });
+
+  on("after:run", async () => {
+    if (!ownsReports) {
+      return;
+    }
+    const { dashboard } = await generateReports(config.projectRoot);
+    console.log(
+      `\n  Run dashboard: ${path.relative(config.projectRoot, dashboard)}`
+    );
+  });
+}
+
+module.exports = {
+  reportPaths,
+  summarizeSpec,
+  pageObjectsForSpec,
+  renderDashboard,
+  readSpecResults,
+  saveWorkerReport,
+  mergeWorkerReports,
+  clearReports,
+  decorateJUnit,
+  decorateJUnitReports,
+  generateReports,
+  registerReporting,
+};
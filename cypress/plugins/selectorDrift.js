@@ -0,0 +1,249 @@
+// selectorDrift.js - Selector drift report for self-healing Locators
+//
+// A Locator is healed when its primary strategy finds nothing and one of its
+// fallbacks matches (see cypress/support/locator.js). Each spec sends its healed
+// Locators through the recordSelectorDrift task, which saves them under
+// cypress/reports/selector-drift/specs, one file per spec so parallel workers
+// never share one. They are merged into selector-drift.json and
+// selector-drift.md, one entry per Locator and healing strategy with the tests
+// that hit it, and the run ends with a summary in the terminal. Parallel
+// workers leave the merged files and the summary to scripts/run-parallel.js.
+//
+// Strict selectors (env selectorHealing.strict or STRICT_SELECTORS=true) turn
+// healing off: a fallback match fails the test. Use them to gate releases.
+
+const fs = require("fs");
+const path = require("path");
+const { reportPaths } = require("./reporting");
+
+const DEFAULTS = {
+  strict: false,
+};
+
+/**
+ * Resolve the healing settings from the config env
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} strict
+ */
+function selectorHealingSettings(config) {
+  const settings = { ...DEFAULTS, ...config.env.selectorHealing };
+  const toggle = config.env.STRICT_SELECTORS || process.env.STRICT_SELECTORS;
+  if (toggle !== undefined) {
+    settings.strict = String(toggle) === "true";
+  }
+  return settings;
+}
+
+function driftFiles(projectRoot) {
+  const folder = reportPaths(projectRoot).selectorDrift;
+  return {
+    json: path.join(folder, "selector-drift.json"),
+    markdown: path.join(folder, "selector-drift.md"),
+    specs: path.join(folder, "specs"),
+  };
+}
+
+function specDriftFile(projectRoot, specRelative) {
+  return path.join(
+    driftFiles(projectRoot).specs,
+    `${specRelative.replace(/[\\/]/g, "__")}.json`
+  );
+}
+
+function readEntries(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+}
+
+/**
+ * Merge healed Locators into a report, one entry per Locator and healing
+ * strategy
+ * @param {object} report - Report from readDriftReport()
+ * @param {object[]} entries - { locator, primary, healedWith, strategies, spec, test }
+ * @returns {object} The updated report
+ */
+function mergeDrift(report, entries) {
+  entries.forEach(
+    ({ locator, primary, healedWith, strategies, spec, test }) => {
+      let drift = report.locators.find(
+        (other) =>
+          other.locator === locator &&
+          other.primary === primary &&
+          other.healedWith === healedWith
+      );
+      if (!drift) {
+        drift = { locator, primary, healedWith, strategies, tests: [] };
+        report.locators.push(drift);
+      }
+      if (
+        !drift.tests.some((other) => other.spec === spec && other.test === test)
+      ) {
+        drift.tests.push({ spec, test });
+      }
+    }
+  );
+  report.locators.sort(
+    (a, b) =>
+      a.locator.localeCompare(b.locator) ||
+      a.healedWith.localeCompare(b.healedWith)
+  );
+  return report;
+}
+
+/**
+ * Markdown version of the report, for CI artifacts and pull requests
+ * @param {object} report - Report from readDriftReport()
+ * @returns {string} Markdown
+ */
+function formatDriftMarkdown(report) {
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const lines = ["# Selector drift", ""];
+
+  if (report.locators.length === 0) {
+    lines.push("No Locator needed a fallback.");
+    return `${lines.join("\n")}\n`;
+  }
+
+  lines.push(
+    "Locators whose primary strategy found nothing, and the fallback that matched instead. Update the primary strategy (or the app) and drop the fallback once it is no longer needed.",
+    "",
+    "| Locator | Primary (found nothing) | Healed with | Tests |",
+    "| --- | --- | --- | --- |"
+  );
+  report.locators.forEach((drift) =>
+    lines.push(
+      `| ${cell(drift.locator)} | ${cell(drift.primary)} | ${cell(
+        drift.healedWith
+      )} | ${drift.tests.length} |`
+    )
+  );
+  report.locators.forEach((drift) => {
+    lines.push("", `## ${drift.locator}`, "");
+    lines.push(`Strategies: ${drift.strategies.join(", then ")}`, "");
+    drift.tests.forEach(({ spec, test }) => lines.push(`- ${spec} > ${test}`));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Save healed Locators in their spec's file (called through the
+ * recordSelectorDrift task)
+ * @param {string} projectRoot - Cypress project root
+ * @param {object[]} entries - Healed Locators from cypress/support/selectorDrift.js
+ */
+function recordDrift(projectRoot, entries) {
+  const bySpec = {};
+  entries.forEach((entry) => {
+    bySpec[entry.spec] = [...(bySpec[entry.spec] || []), entry];
+  });
+  Object.entries(bySpec).forEach(([spec, specEntries]) => {
+    const file = specDriftFile(projectRoot, spec);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      `${JSON.stringify([...readEntries(file), ...specEntries], null, 2)}\n`
+    );
+  });
+}
+
+/**
+ * Read this run's drift report, merged from every spec's file
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object} { locators: [{ locator, primary, healedWith, strategies, tests }] }
+ */
+function readDriftReport(projectRoot) {
+  const folder = driftFiles(projectRoot).specs;
+  const report = { locators: [] };
+  if (!fs.existsSync(folder)) {
+    return report;
+  }
+  fs.readdirSync(folder)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) =>
+      mergeDrift(report, readEntries(path.join(folder, file)))
+    );
+  return report;
+}
+
+/**
+ * Rewrite selector-drift.json and selector-drift.md from the spec files
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object} The report from readDriftReport()
+ */
+function writeDriftReport(projectRoot) {
+  const files = driftFiles(projectRoot);
+  const report = readDriftReport(projectRoot);
+  fs.mkdirSync(path.dirname(files.json), { recursive: true });
+  fs.writeFileSync(files.json, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(files.markdown, formatDriftMarkdown(report));
+  return report;
+}
+
+/**
+ * Text summary printed at the end of the run
+ * @param {object} report - Report from readDriftReport()
+ * @param {object} settings - Settings from selectorHealingSettings()
+ * @param {string} projectRoot - Cypress project root
+ * @returns {string} Summary, one Locator per line
+ */
+function formatDriftSummary(report, settings, projectRoot) {
+  const lines = ["", "  Selector drift"];
+  if (settings.strict) {
+    lines.push("    Strict selectors: fallback matches fail the test.");
+  }
+  if (report.locators.length === 0) {
+    lines.push("    No Locator needed a fallback this run.");
+    return lines.join("\n");
+  }
+
+  lines.push(
+    `    Healed Locators (${report.locators.length}); update their primary strategy:`
+  );
+  report.locators.forEach((drift) =>
+    lines.push(
+      `      - ${drift.locator}: ${drift.primary} -> ${drift.healedWith} (${drift.tests.length} test(s))`
+    )
+  );
+  lines.push(
+    `    Report: ${path.relative(
+      projectRoot,
+      driftFiles(projectRoot).markdown
+    )}`
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Register selector drift reporting: pass the healing settings to the browser
+ * and print the drift summary when the run ends
+ * @param {Function} on - Event registrar (see multiplexEvents)
+ * @param {object} config - Resolved Cypress config; env.selectorHealing is filled in
+ */
+function registerSelectorDrift(on, config) {
+  const settings = selectorHealingSettings(config);
+  config.env.selectorHealing = settings;
+
+  on("after:run", () => {
+    if (!config.isTextTerminal || config.env.PARALLEL_WORKER) {
+      return;
+    }
+    console.log(
+      formatDriftSummary(
+        readDriftReport(config.projectRoot),
+        settings,
+        config.projectRoot
+      )
+    );
+  });
+}
+
+module.exports = {
+  selectorHealingSettings,
+  readDriftReport,
+  mergeDrift,
+  formatDriftMarkdown,
+  recordDrift,
+  writeDriftReport,
+  formatDriftSummary,
+  registerSelectorDrift,
+};
@@ -0,0 +1,140 @@
+// sharding.js - Split specs into balanced shards from recorded spec durations
+// Used by scripts/run-parallel.js. Durations live in cypress/spec-durations.json,
+// rewritten after every parallel run and git-ignored; specs without a recorded
+// duration are estimated at the average of the known ones, and without the file
+// (a fresh checkout) every spec weighs the same.
+//
+// The split is deterministic: the same specs and durations always produce the
+// same shards, so separate CI jobs can each run their own shard.
+
+const fs = require("fs");
+const path = require("path");
+
+const SPEC_FOLDER = "cypress/e2e";
+const SPEC_FILE = /\.cy\.(js|jsx|ts|tsx)$/;
+const DURATIONS_FILE = "cypress/spec-durations.json";
+const DEFAULT_DURATION = 30000;
+
+/**
+ * List the spec files
+ * @param {string} projectRoot - Cypress project root
+ * @returns {string[]} Spec paths relative to the project root, sorted
+ */
+function findSpecs(projectRoot) {
+  const specs = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (SPEC_FILE.test(entry.name)) {
+        specs.push(path.relative(projectRoot, file).split(path.sep).join("/"));
+      }
+    });
+  };
+  walk(path.join(projectRoot, SPEC_FOLDER));
+  return specs.sort();
+}
+
+/**
+ * Parse a shard argument
+ * @param {string} value - "<index>/<total>", 1-based, e.g. "2/4"
+ * @returns {{index: number, total: number}} Parsed shard
+ */
+function parseShard(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+  const index = match ? Number(match[1]) : NaN;
+  const total = match ? Number(match[2]) : NaN;
+  if (!(index >= 1 && total >= 1 && index <= total)) {
+    throw new Error(
+      `Invalid shard "${value}"; expected <index>/<total> like 2/4`
+    );
+  }
+  return { index, total };
+}
+
+/**
+ * Read the recorded spec durations
+ * @param {string} projectRoot - Cypress project root
+ * @returns {object} Duration in ms keyed by spec path
+ */
+function readDurations(projectRoot) {
+  const file = path.join(projectRoot, DURATIONS_FILE);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Record the durations of the specs that just ran, keeping the others
+ * @param {string} projectRoot - Cypress project root
+ * @param {object[]} specs - Spec summaries from cypress/reports/results
+ * @returns {object} Durations written
+ */
+function recordDurations(projectRoot, specs) {
+  const durations = readDurations(projectRoot);
+  specs.forEach(({ spec, stats }) => {
+    if (stats && stats.duration > 0) {
+      durations[spec] = Math.round(stats.duration);
+    }
+  });
+
+  const sorted = Object.fromEntries(
+    Object.keys(durations)
+      .sort()
+      .map((spec) => [spec, durations[spec]])
+  );
+  fs.writeFileSync(
+    path.join(projectRoot, DURATIONS_FILE),
+    `${JSON.stringify(sorted, null, 2)}\n`
+  );
+  return sorted;
+}
+
+/**
+ * Split specs into shards of similar total duration: longest spec first, each
+ * to the shard with the least work so far (lowest index on a tie)
+ * @param {string[]} specs - Spec paths
+ * @param {object} durations - Duration in ms keyed by spec path
+ * @param {number} count - Number of shards
+ * @returns {{specs: string[], estimate: number}[]} Shards; some may be empty
+ *   when there are fewer specs than shards
+ */
+function splitSpecs(specs, durations, count) {
+  const known = specs
+    .map((spec) => durations[spec])
+    .filter((duration) => duration > 0);
+  const fallback =
+    known.length > 0
+      ? known.reduce((sum, duration) => sum + duration, 0) / known.length
+      : DEFAULT_DURATION;
+  const estimate = (spec) => durations[spec] || fallback;
+
+  const shards = Array.from({ length: count }, () => ({
+    specs: [],
+    estimate: 0,
+  }));
+  [...specs]
+    .sort((a, b) => estimate(b) - estimate(a) || a.localeCompare(b))
+    .forEach((spec) => {
+      const target = shards.reduce((least, shard) =>
+        shard.estimate < least.estimate ? shard : least
+      );
+      target.specs.push(spec);
+      target.estimate += estimate(spec);
+    });
+
+  shards.forEach((shard) => shard.specs.sort());
+  return shards;
+}
+
+module.exports = {
+  SPEC_FOLDER,
+  DURATIONS_FILE,
+  findSpecs,
+  parseShard,
+  readDurations,
+  recordDurations,
+  splitSpecs,
+};
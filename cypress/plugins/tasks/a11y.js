@@ -0,0 +1,72 @@
+// a11y.js - cy.task handlers behind the checkA11y command
+// Serves the locally installed axe-core source (no CDN) and writes the
+// violations of this run to cypress/reports/a11y, echoing them to the terminal.
+// Parallel workers save their audits for scripts/run-parallel.js to merge.
+
+const fs = require("fs");
+const path = require("path");
+const { saveWorkerReport } = require("../reporting");
+
+/**
+ * Create the accessibility tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function a11yTasks(config) {
+  const reportDir = path.join(config.projectRoot, "cypress/reports/a11y");
+  const startedAt = new Date().toISOString();
+  const report = { startedAt, testEnv: config.env.TEST_ENV, audits: [] };
+  let axeSource;
+
+  function writeReport() {
+    if (config.env.PARALLEL_WORKER) {
+      saveWorkerReport(
+        config.projectRoot,
+        "a11y",
+        config.env.PARALLEL_WORKER,
+        report
+      );
+      return;
+    }
+    const runFile = `a11y-${startedAt.replace(/[:.]/g, "-")}.json`;
+    const content = `${JSON.stringify(report, null, 2)}\n`;
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, runFile), content);
+    fs.writeFileSync(path.join(reportDir, "latest.json"), content);
+  }
+
+  return {
+    // cy.task("readAxeSource") - axe.min.js from node_modules, read once per run
+    readAxeSource() {
+      if (!axeSource) {
+        axeSource = fs.readFileSync(
+          require.resolve("axe-core/axe.min.js"),
+          "utf8"
+        );
+      }
+      return axeSource;
+    },
+
+    // cy.task("reportA11yViolations", { spec, test, url, context, minImpact, violations })
+    // - add one audit to this run's report and print its violations
+    reportA11yViolations(audit) {
+      report.audits.push({ ...audit, recordedAt: new Date().toISOString() });
+      writeReport();
+
+      if (audit.violations.length > 0) {
+        console.log(
+          `\n  Accessibility violations in "${audit.test}" (${audit.url}):`
+        );
+        audit.violations.forEach((violation) => {
+          console.log(
+            `    [${violation.impact}] ${violation.id}: ${violation.help} (${violation.nodes.length} node(s))`
+          );
+          violation.nodes.forEach((node) =>
+            console.log(`      - ${node.target}`)
+          );
+        });
+      }
+      return null;
+    },
+  };
+};
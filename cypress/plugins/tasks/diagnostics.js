@@ -0,0 +1,57 @@
+// diagnostics.js - cy.task handler that writes the bundle for a failed test
+// Bundles go to cypress/diagnostics/<spec>/<test>/attempt-<n>/ and the folder
+// is emptied at the start of every `cypress run` (by scripts/run-parallel.js
+// for parallel workers).
+
+const fs = require("fs");
+const path = require("path");
+
+const DIAGNOSTICS_FOLDER = "cypress/diagnostics";
+
+/**
+ * Create the diagnostics tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function diagnosticsTasks(config) {
+  const root = path.join(config.projectRoot, DIAGNOSTICS_FOLDER);
+
+  if (!config.isInteractive && !config.env.PARALLEL_WORKER) {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  return {
+    // cy.task("writeDiagnostics", { dir, screenshotPath, dom, console, network, ...details })
+    // - write dom.html, console.json, network.json, screenshot.png and
+    // bundle.json (everything else); yields the bundle folder
+    writeDiagnostics({
+      dir,
+      screenshotPath,
+      dom,
+      console: logs,
+      network,
+      ...details
+    }) {
+      const bundleDir = path.join(root, dir);
+      const write = (file, content) =>
+        fs.writeFileSync(path.join(bundleDir, file), content);
+
+      fs.mkdirSync(bundleDir, { recursive: true });
+      write("dom.html", dom || "");
+      write("console.json", `${JSON.stringify(logs || [], null, 2)}\n`);
+      write("network.json", `${JSON.stringify(network || [], null, 2)}\n`);
+
+      const files = ["dom.html", "console.json", "network.json"];
+      if (screenshotPath && fs.existsSync(screenshotPath)) {
+        fs.copyFileSync(screenshotPath, path.join(bundleDir, "screenshot.png"));
+        files.push("screenshot.png");
+      }
+
+      write(
+        "bundle.json",
+        `${JSON.stringify({ ...details, files, createdAt: new Date().toISOString() }, null, 2)}\n`
+      );
+      return bundleDir;
+    },
+  };
+};
@@ -0,0 +1,49 @@
+// files.js - cy.task handlers for JSON artifacts and the downloads folder
+// Relative paths resolve against the project root.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Create the file tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function fileTasks(config) {
+  const resolvePath = (filePath) => path.resolve(config.projectRoot, filePath);
+
+  return {
+    // cy.task("readJson", "cypress/reports/data.json") - parsed content, or
+    // null when the file does not exist
+    readJson(filePath) {
+      const absolutePath = resolvePath(filePath);
+      if (!fs.existsSync(absolutePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(absolutePath, "utf8"));
+    },
+
+    // cy.task("writeJson", { filePath, data }) - write pretty-printed JSON,
+    // creating missing folders; yields the absolute path
+    writeJson({ filePath, data }) {
+      const absolutePath = resolvePath(filePath);
+      fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+      fs.writeFileSync(absolutePath, `${JSON.stringify(data, null, 2)}\n`);
+      return absolutePath;
+    },
+
+    // cy.task("clearDownloads") - empty the downloads folder; yields the
+    // number of entries removed
+    clearDownloads() {
+      const folder = config.downloadsFolder;
+      if (!fs.existsSync(folder)) {
+        return 0;
+      }
+      const entries = fs.readdirSync(folder);
+      entries.forEach((entry) => {
+        fs.rmSync(path.join(folder, entry), { recursive: true, force: true });
+      });
+      return entries.length;
+    },
+  };
+};
@@ -0,0 +1,20 @@
+// flaky.js - cy.task handler that reports quarantined failures to the flaky
+// test plugin, which records them in the history as failures
+// (see cypress/plugins/flaky.js)
+
+const { markQuarantined } = require("../flaky");
+
+/**
+ * Create the flaky-test tasks
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function flakyTasks() {
+  return {
+    // cy.task("recordQuarantined", ["<spec> > <suite> > <test>", ...]) - mark
+    // tests whose failure was quarantined in this run
+    recordQuarantined(ids) {
+      markQuarantined(ids);
+      return null;
+    },
+  };
+};
@@ -0,0 +1,50 @@
+// index.js - Registers every cy.task handler from setupNodeEvents
+//
+// Tasks are grouped by concern, one module per group. Each module exports a
+// factory that receives the resolved config and returns { taskName: handler }.
+// To add a task, add it to a module here (or create a new module and list it
+// in taskGroups); see docs/TASKS.md.
+
+const loggingTasks = require("./logging");
+const fileTasks = require("./files");
+const testDataTasks = require("./testData");
+const visualTasks = require("./visual");
+const performanceTasks = require("./performance");
+const a11yTasks = require("./a11y");
+const diagnosticsTasks = require("./diagnostics");
+const flakyTasks = require("./flaky");
+const selectorDriftTasks = require("./selectorDrift");
+
+const taskGroups = [
+  loggingTasks,
+  fileTasks,
+  testDataTasks,
+  visualTasks,
+  performanceTasks,
+  a11yTasks,
+  diagnosticsTasks,
+  flakyTasks,
+  selectorDriftTasks,
+];
+
+/**
+ * Register all task groups
+ * @param {Function} on - Cypress plugin event registrar
+ * @param {object} config - Resolved Cypress config
+ */
+function registerTasks(on, config) {
+  const tasks = {};
+
+  taskGroups.forEach((createTasks) => {
+    Object.entries(createTasks(config)).forEach(([name, handler]) => {
+      if (tasks[name]) {
+        throw new Error(`cy.task "${name}" is registered twice`);
+      }
+      tasks[name] = handler;
+    });
+  });
+
+  on("task", tasks);
+}
+
+module.exports = { registerTasks };
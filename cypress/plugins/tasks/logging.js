@@ -0,0 +1,21 @@
+// logging.js - cy.task handlers that print to the terminal running Cypress
+
+/**
+ * Create the logging tasks
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function loggingTasks() {
+  return {
+    // cy.task("log", "message") - print a line from a spec
+    log(message) {
+      console.log(message);
+      return null;
+    },
+
+    // cy.task("table", rows) - print an array of objects as a table
+    table(rows) {
+      console.table(rows);
+      return null;
+    },
+  };
+};
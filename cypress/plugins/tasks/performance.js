@@ -0,0 +1,54 @@
+// performance.js - cy.task handler that collects timings into a JSON report
+// Every run writes cypress/reports/performance/timings-<run start>.json and
+// refreshes latest.json next to it, so runs can be compared side by side.
+// Parallel workers save their timings for scripts/run-parallel.js to merge.
+
+const fs = require("fs");
+const path = require("path");
+const { saveWorkerReport } = require("../reporting");
+
+/**
+ * Create the performance tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function performanceTasks(config) {
+  const reportDir = path.join(
+    config.projectRoot,
+    "cypress/reports/performance"
+  );
+  const startedAt = new Date().toISOString();
+  const report = {
+    startedAt,
+    testEnv: config.env.TEST_ENV,
+    budgets: config.env.performanceBudgets,
+    timings: [],
+  };
+
+  function writeReport() {
+    if (config.env.PARALLEL_WORKER) {
+      saveWorkerReport(
+        config.projectRoot,
+        "performance",
+        config.env.PARALLEL_WORKER,
+        report
+      );
+      return;
+    }
+    const runFile = `timings-${startedAt.replace(/[:.]/g, "-")}.json`;
+    const content = `${JSON.stringify(report, null, 2)}\n`;
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, runFile), content);
+    fs.writeFileSync(path.join(reportDir, "latest.json"), content);
+  }
+
+  return {
+    // cy.task("recordTiming", { name, duration, budget, spec, test, ... }) -
+    // add one measurement to this run's report
+    recordTiming(timing) {
+      report.timings.push({ ...timing, recordedAt: new Date().toISOString() });
+      writeReport();
+      return null;
+    },
+  };
+};
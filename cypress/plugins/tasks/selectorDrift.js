@@ -0,0 +1,24 @@
+// selectorDrift.js - cy.task handler that adds healed Locators to this run's
+// selector drift report (see cypress/plugins/selectorDrift.js)
+
+const { recordDrift, writeDriftReport } = require("../selectorDrift");
+
+/**
+ * Create the selector drift tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function selectorDriftTasks(config) {
+  return {
+    // cy.task("recordSelectorDrift", [{ locator, primary, healedWith, strategies, spec, test }])
+    // - save a spec's healed Locators under cypress/reports/selector-drift and
+    //   rewrite the merged report (parallel workers leave that to the runner)
+    recordSelectorDrift(entries) {
+      recordDrift(config.projectRoot, entries);
+      if (!config.env.PARALLEL_WORKER) {
+        writeDriftReport(config.projectRoot);
+      }
+      return null;
+    },
+  };
+};
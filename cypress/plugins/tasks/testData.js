@@ -0,0 +1,52 @@
+// testData.js - cy.task handlers that reset or seed the mock-app backend
+// Only the "local" environment profile has a backend that accepts them.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Create the test data tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function testDataTasks(config) {
+  async function post(route, body) {
+    if (config.env.TEST_ENV !== "local") {
+      throw new Error(
+        `Test data tasks need the local mock backend, but TEST_ENV is "${config.env.TEST_ENV}"`
+      );
+    }
+
+    const response = await fetch(`${config.env.apiUrl}${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `POST ${route} failed with ${response.status}: ${await response.text()}`
+      );
+    }
+    return response.json();
+  }
+
+  return {
+    // cy.task("resetTestData") - restore the default catalog and drop orders
+    resetTestData() {
+      return post("/test-data/reset");
+    },
+
+    // cy.task("seedTestData", { products, orders }) or
+    // cy.task("seedTestData", "seed/products.json") - replace the backend data
+    // with an object or a fixture file; keys left out are reset
+    seedTestData(data) {
+      const seed =
+        typeof data === "string"
+          ? JSON.parse(
+              fs.readFileSync(path.join(config.fixturesFolder, data), "utf8")
+            )
+          : data;
+      return post("/test-data/seed", seed);
+    },
+  };
+};
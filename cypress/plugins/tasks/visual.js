@@ -0,0 +1,19 @@
+// visual.js - cy.task handler behind the compareSnapshot command
+// The comparison itself lives in cypress/plugins/visualDiff.js.
+
+const { compareScreenshot } = require("../visualDiff");
+
+/**
+ * Create the visual comparison tasks
+ * @param {object} config - Resolved Cypress config
+ * @returns {object} Task handlers keyed by task name
+ */
+module.exports = function visualTasks(config) {
+  return {
+    // cy.task("compareScreenshot", { name, screenshotPath, browser, ... }) -
+    // compare a screenshot with its baseline; yields the result object
+    compareScreenshot(options) {
+      return compareScreenshot(config.projectRoot, options);
+    },
+  };
+};
@@ -0,0 +1,274 @@
+// visualDiff.js - Pixel comparison of Cypress screenshots against approved baselines
+// Used by the compareScreenshot task and by scripts/approve-baselines.js.
+//
+// Layout under cypress/visual (one folder per browser, since renderers differ):
+//   baselines/<browser>/<name>.png  approved images, per machine (git-ignored)
+//   actual/<browser>/<name>.png     screenshots waiting for approval (git-ignored)
+//   diff/<browser>/<name>.png       highlighted differences (git-ignored)
+//   pending/<browser>/<name>.json   screenshots `npm run visual:approve` will promote,
+//                                   one file each so parallel workers never share one
+//
+// Baselines are recorded per machine and not committed, so the visual specs
+// only run when asked for with VISUAL=true (npm run test:visual).
+
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const pixelmatch = require("pixelmatch");
+
+const VISUAL_DIR = "cypress/visual";
+const VISUAL_SPECS = ["cypress/e2e/visual.cy.js"];
+
+/**
+ * Resolve the visual folders for a project
+ * @param {string} projectRoot - Cypress project root
+ * @returns {{root: string, baselines: string, actual: string, diff: string, pending: string}} Absolute paths
+ */
+function visualPaths(projectRoot) {
+  const root = path.join(projectRoot, VISUAL_DIR);
+  return {
+    root,
+    baselines: path.join(root, "baselines"),
+    actual: path.join(root, "actual"),
+    diff: path.join(root, "diff"),
+    pending: path.join(root, "pending"),
+  };
+}
+
+function readPng(filePath) {
+  return PNG.sync.read(fs.readFileSync(filePath));
+}
+
+function copyFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to);
+}
+
+function pendingFile(pendingDir, key) {
+  return path.join(pendingDir, `${key}.json`);
+}
+
+function readPending(pendingDir) {
+  const pending = {};
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(file);
+      } else if (entry.name.endsWith(".json")) {
+        const key = path
+          .relative(pendingDir, file)
+          .slice(0, -".json".length)
+          .split(path.sep)
+          .join("/");
+        pending[key] = JSON.parse(fs.readFileSync(file, "utf8"));
+      }
+    });
+  };
+  walk(pendingDir);
+  return pending;
+}
+
+function writePending(pendingDir, key, entry) {
+  const file = pendingFile(pendingDir, key);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(entry, null, 2)}\n`);
+}
+
+function removePending(pendingDir, key) {
+  fs.rmSync(pendingFile(pendingDir, key), { force: true });
+}
+
+/**
+ * Compare two PNG files and write the highlighted differences
+ * @param {string} actualPath - Screenshot to check
+ * @param {string} baselinePath - Approved image
+ * @param {string} diffPath - Where to write the diff image
+ * @param {number} threshold - Per-pixel color tolerance, 0 (exact) to 1
+ * @returns {{diffPixels: number, totalPixels: number, sizeMismatch: boolean}} Comparison counts
+ */
+function compareImages(actualPath, baselinePath, diffPath, threshold) {
+  const actual = readPng(actualPath);
+  const baseline = readPng(baselinePath);
+  const totalPixels = baseline.width * baseline.height;
+
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    return { diffPixels: totalPixels, totalPixels, sizeMismatch: true };
+  }
+
+  const diff = new PNG({ width: baseline.width, height: baseline.height });
+  const diffPixels = pixelmatch(
+    actual.data,
+    baseline.data,
+    diff.data,
+    baseline.width,
+    baseline.height,
+    { threshold }
+  );
+
+  if (diffPixels > 0) {
+    fs.mkdirSync(path.dirname(diffPath), { recursive: true });
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  }
+  return { diffPixels, totalPixels, sizeMismatch: false };
+}
+
+/**
+ * Compare a screenshot with its baseline and record it for approval when needed
+ * @param {string} projectRoot - Cypress project root
+ * @param {object} options - Comparison options
+ * @param {string} options.name - Snapshot name, e.g. "inventory/sauce-labs-backpack"
+ * @param {string} options.screenshotPath - Absolute path of the screenshot Cypress took
+ * @param {string} options.browser - Browser name; baselines are kept per browser
+ * @param {string} options.baseline - Baseline to compare with (default: name)
+ * @param {number} options.threshold - Per-pixel color tolerance, 0 to 1 (default: 0.1)
+ * @param {number} options.maxDiffRatio - Share of pixels allowed to differ (default: 0)
+ * @param {boolean} options.expectDiff - A difference is the expected outcome, so the
+ *   screenshot is never offered for approval
+ * @returns {object} Result with status "match", "changed" or "missing"
+ */
+function compareScreenshot(
+  projectRoot,
+  {
+    name,
+    screenshotPath,
+    browser,
+    baseline = name,
+    threshold = 0.1,
+    maxDiffRatio = 0,
+    expectDiff = false,
+  }
+) {
+  const paths = visualPaths(projectRoot);
+  const baselinePath = path.join(paths.baselines, browser, `${baseline}.png`);
+  const actualPath = path.join(paths.actual, browser, `${name}.png`);
+  const diffPath = path.join(
+    paths.diff,
+    browser,
+    expectDiff ? `${name}.expected.png` : `${name}.png`
+  );
+  const pendingKey = `${browser}/${name}`;
+
+  const result = {
+    name,
+    baseline,
+    browser,
+    status: "missing",
+    diffPixels: null,
+    diffRatio: null,
+    sizeMismatch: false,
+    baselinePath,
+    actualPath: null,
+    diffPath: null,
+  };
+
+  fs.rmSync(diffPath, { force: true });
+
+  if (fs.existsSync(baselinePath)) {
+    const { diffPixels, totalPixels, sizeMismatch } = compareImages(
+      screenshotPath,
+      baselinePath,
+      diffPath,
+      threshold
+    );
+    result.diffPixels = diffPixels;
+    result.diffRatio = diffPixels / totalPixels;
+    result.sizeMismatch = sizeMismatch;
+    result.status = result.diffRatio > maxDiffRatio ? "changed" : "match";
+    result.diffPath = fs.existsSync(diffPath) ? diffPath : null;
+  }
+
+  // Expected differences (e.g. problem_user) must never become baselines
+  if (expectDiff) {
+    return result;
+  }
+
+  if (result.status === "match") {
+    removePending(paths.pending, pendingKey);
+    fs.rmSync(actualPath, { force: true });
+  } else {
+    copyFile(screenshotPath, actualPath);
+    result.actualPath = actualPath;
+    writePending(paths.pending, pendingKey, { browser, baseline, actualPath });
+  }
+
+  return result;
+}
+
+/**
+ * Promote pending screenshots to baselines
+ * @param {string} projectRoot - Cypress project root
+ * @param {string[]} filters - Only approve snapshots whose "<browser>/<name>" key
+ *   starts with one of these (default: approve all)
+ * @returns {string[]} Keys of the approved snapshots
+ */
+function approveBaselines(projectRoot, filters = []) {
+  const paths = visualPaths(projectRoot);
+  const pending = readPending(paths.pending);
+  const approved = Object.keys(pending).filter(
+    (key) =>
+      filters.length === 0 || filters.some((filter) => key.startsWith(filter))
+  );
+
+  approved.forEach((key) => {
+    const { browser, baseline, actualPath } = pending[key];
+    if (!fs.existsSync(actualPath)) {
+      throw new Error(`Screenshot for ${key} is missing: ${actualPath}`);
+    }
+    copyFile(
+      actualPath,
+      path.join(paths.baselines, browser, `${baseline}.png`)
+    );
+    fs.rmSync(actualPath);
+    removePending(paths.pending, key);
+  });
+
+  return approved;
+}
+
+/**
+ * Whether the run asked for the visual specs (env VISUAL=true)
+ * @param {object} env - Cypress env; falls back to process.env.VISUAL
+ * @returns {boolean} True when the visual specs should run
+ */
+function visualSpecsEnabled(env = {}) {
+  const toggle = env.VISUAL !== undefined ? env.VISUAL : process.env.VISUAL;
+  return String(toggle) === "true";
+}
+
+/**
+ * Whether a spec is a visual spec
+ * @param {string} spec - Spec path relative to the project root
+ * @returns {boolean} True for the specs that need baselines
+ */
+function isVisualSpec(spec) {
+  return VISUAL_SPECS.includes(spec.split(path.sep).join("/"));
+}
+
+/**
+ * Keep the visual specs out of runs that did not ask for them, so a checkout
+ * without recorded baselines can run the suite
+ * @param {object} config - Resolved Cypress config; excludeSpecPattern is extended
+ */
+function registerVisualSpecs(config) {
+  if (visualSpecsEnabled(config.env)) {
+    return;
+  }
+  config.excludeSpecPattern = [
+    ...[].concat(config.excludeSpecPattern || []),
+    ...VISUAL_SPECS,
+  ];
+}
+
+module.exports = {
+  visualPaths,
+  compareImages,
+  compareScreenshot,
+  approveBaselines,
+  visualSpecsEnabled,
+  isVisualSpec,
+  registerVisualSpecs,
+};
@@ -0,0 +1,170 @@
+// Accessibility commands built on axe-core, served from node_modules by the
+// readAxeSource task. Defaults come from Cypress.env('a11y'). Violations are
+// logged, written to cypress/reports/a11y and added to the mochawesome report.
+
+import addContext from 'mochawesome/addContext';
+
+const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+const isAtLeast = (impact, minImpact) => IMPACT_LEVELS.indexOf(impact) >= IMPACT_LEVELS.indexOf(minImpact);
+
+// Selectors the audit context includes (elements already exist)
+const includedSelectors = (context) => {
+  if (!context) {
+    return [];
+  }
+  if (typeof context === 'string') {
+    return [context];
+  }
+  return [].concat(context.include || []).filter((target) => typeof target === 'string');
+};
+
+// Readable audit scope for the reports: selectors as they are, elements as
+// tag#id[data-test].class (JSON would turn an element or jQuery object into {})
+const describeElement = (el) => {
+  if (!el || !el.tagName) {
+    return String(el);
+  }
+  const testId = el.getAttribute('data-test');
+  return [
+    el.tagName.toLowerCase(),
+    el.id ? `#${el.id}` : '',
+    testId ? `[data-test="${testId}"]` : '',
+    ...[...el.classList].map((name) => `.${name}`),
+  ].join('');
+};
+
+const describeTargets = (targets) =>
+  [].concat(targets && targets.jquery ? targets.toArray() : targets).map((target) =>
+    typeof target === 'string' ? target : describeElement(target)
+  );
+
+const describeContext = (context) => {
+  if (!context) {
+    return null;
+  }
+  if (typeof context === 'string' || context.jquery || context.nodeType || Array.isArray(context)) {
+    return describeTargets(context).join(', ');
+  }
+  return ['include', 'exclude']
+    .filter((key) => context[key] && [].concat(context[key]).length > 0)
+    .map((key) => `${key}: ${describeTargets(context[key]).join(', ')}`)
+    .join('; ');
+};
+
+// Audits of the current test, added to its mochawesome entry when it ends
+let audits = [];
+
+Cypress.on('test:after:run', (test, runnable) => {
+  const title = runnable.titlePath().join(' > ');
+  const violations = audits
+    .filter((audit) => audit.test === title)
+    .flatMap((audit) =>
+      audit.violations.map(
+        (violation) =>
+          `[${violation.impact}] ${violation.id}: ${violation.help} (${violation.nodes.length} node(s)) ` +
+          `in ${audit.context || 'the page'}${violation.blocking ? '' : ', below minImpact'}`
+      )
+    );
+  audits = audits.filter((audit) => audit.test !== title);
+  if (violations.length > 0) {
+    addContext({ test }, { title: 'Accessibility violations', value: violations });
+  }
+});
+
+// Inject axe-core into the page under test unless it is already there
+Cypress.Commands.add('injectAxe', () =>
+  cy.window({ log: false }).then((win) => {
+    if (win.axe) {
+      return;
+    }
+    cy.task('readAxeSource', null, { log: false }).then((source) => {
+      win.eval(source);
+    });
+  })
+);
+
+// Audit the page, or `context` (a selector or { include, exclude } selector
+// lists), with axe-core. Options: includeRules (only run these rule ids or
+// tags), excludeRules (rule ids to skip), minImpact (lowest impact that fails
+// the test: minor, moderate, serious or critical) and failOnViolation.
+// Every violation is logged; yields the list of violations.
+Cypress.Commands.add('checkA11y', (context = null, options = {}) => {
+  const {
+    includeRules = [],
+    excludeRules = [],
+    minImpact = 'serious',
+    failOnViolation = true,
+  } = { ...Cypress.env('a11y'), ...options };
+
+  if (!IMPACT_LEVELS.includes(minImpact)) {
+    throw new Error(`Unknown minImpact "${minImpact}", expected one of: ${IMPACT_LEVELS.join(', ')}`);
+  }
+
+  const runOptions = {
+    rules: Object.fromEntries(excludeRules.map((id) => [id, { enabled: false }])),
+  };
+  if (includeRules.length > 0) {
+    runOptions.runOnly = includeRules;
+  }
+
+  // axe throws a bare "No elements found for include" when the context matches
+  // nothing, so wait for each included selector first; a missing one fails by name
+  includedSelectors(context).forEach((selector) => cy.get(selector).should('exist'));
+
+  let win;
+  cy.injectAxe();
+
+  return cy
+    .window({ log: false })
+    .then((autWindow) => {
+      win = autWindow;
+      return win.axe.run(context || win.document, runOptions);
+    })
+    .then(({ violations }) => {
+      const blocking = violations.filter((violation) => isAtLeast(violation.impact, minImpact));
+
+      violations.forEach((violation) => {
+        Cypress.log({
+          name: 'a11y',
+          message: `[${violation.impact}] ${violation.id}: ${violation.help} (${violation.nodes.length} node(s))`,
+          $el: Cypress.$(violation.nodes.map((node) => win.document.querySelector(node.target[0])).filter(Boolean)),
+          consoleProps: () => ({
+            rule: violation.id,
+            impact: violation.impact,
+            help: violation.helpUrl,
+            nodes: violation.nodes.map((node) => ({ target: node.target.join(' '), summary: node.failureSummary })),
+          }),
+        });
+      });
+
+      const audit = {
+        spec: Cypress.spec.relative,
+        test: Cypress.currentTest.titlePath.join(' > '),
+        url: win.location.href,
+        context: describeContext(context),
+        minImpact,
+        violations: violations.map(({ id, impact, help, helpUrl, nodes }) => ({
+          id,
+          impact,
+          help,
+          helpUrl,
+          blocking: isAtLeast(impact, minImpact),
+          nodes: nodes.map((node) => ({ target: node.target.join(' '), html: node.html })),
+        })),
+      };
+      audits.push(audit);
+
+      return cy
+        .task('reportA11yViolations', audit, { log: false })
+        .then(() => {
+          if (failOnViolation) {
+            const summary = blocking
+              .map((violation) => `${violation.id} [${violation.impact}] on ${violation.nodes.map((node) => node.target).join(', ')}`)
+              .join('; ');
+            expect(blocking, `${minImpact} or worse a11y violations${summary ? `: ${summary}` : ''}`).to.have.length(0);
+          }
+          return violations;
+        });
+    });
+});
@@ -1,4 +1,10 @@
 // Custom commands
+import InventoryPage from '../pages/InventoryPage';
+import Header from '../pages/components/Header';
+import BurgerMenu from '../pages/components/BurgerMenu';
+import { Locator, describeStrategy, queryElement } from './locator';
+import { holdStrictFailure, recordHealed } from './selectorDrift';
+
 Cypress.Commands.add('login', (username, password) => {
   cy.visit('/');
   cy.get('[data-test="username"]').type(username);
@@ -6,21 +12,100 @@ Cypress.Commands.add('login', (username, password) => {
   cy.get('[data-test="login-button"]').click();
 });
 
+// Log in through cy.session so the authenticated state is created once per user
+// and restored for every later test. By default the login form is driven the
+// first time; `programmatic: true` seeds the Swag Labs session cookie (and,
+// optionally, the cart in localStorage) directly instead. Lands on `visit`
+// afterwards (default /inventory.html, pass false to stay on a blank page).
+Cypress.Commands.add('sessionLogin', (username, password, options = {}) => {
+  const { programmatic = false, cart = [], visit = '/inventory.html' } = options;
+
+  cy.session(
+    [username, { programmatic, cart }],
+    () => {
+      if (programmatic) {
+        cy.visit('/');
+        cy.setCookie('session-username', username);
+        if (cart.length > 0) {
+          cy.window().then((win) => {
+            win.localStorage.setItem('cart-contents', JSON.stringify(cart));
+          });
+        }
+      } else {
+        cy.login(username, password);
+        cy.url().should('include', '/inventory.html');
+      }
+    },
+    {
+      cacheAcrossSpecs: true,
+      validate() {
+        cy.getCookie('session-username').should('have.property', 'value', username);
+      },
+    }
+  );
+
+  if (visit) {
+    cy.visit(visit);
+  }
+});
+
 Cypress.Commands.add('logout', () => {
-  cy.get('#react-burger-menu-btn').click();
-  cy.get('#logout_sidebar_link').click();
+  new BurgerMenu().logout();
 });
 
+// "Reset App State" from the burger menu: empties the cart without logging out
+// or leaving the page. Safe as test cleanup, e.g. afterEach(() => cy.resetAppState());
+// does nothing on pages without the menu (logged out, blank page).
+Cypress.Commands.add('resetAppState', () => {
+  const menu = new BurgerMenu();
+  cy.get('body', { log: false }).then(($body) => {
+    if (menu.openButton.resolve($body).length > 0) {
+      menu.resetAppState();
+      new Header().verifyCartEmpty();
+    }
+  });
+});
+
+// Add a product from the inventory page by its exact name
 Cypress.Commands.add('addToCart', (productName) => {
-  cy.get('.inventory_item')
-    .contains('.inventory_item_name', productName)
-    .closest('.inventory_item')
-    .find('[data-test="add-to-cart"]')
-    .click();
+  new InventoryPage().addProductToCartByName(productName);
+});
+
+// Find the elements of a Locator (see locator.js), or of a CSS selector,
+// retrying until its first matching strategy finds them. Chained off an
+// element, only looks inside it. Logged with the Locator's description; a
+// fallback match is reported as healed, or fails the test once the query has
+// settled when selectors are strict (see selectorDrift.js).
+Cypress.Commands.addQuery('locate', function locate(target, options = {}) {
+  const locator = Locator.from(target);
+  this.set('timeout', options.timeout);
+
+  const log =
+    options.log === false ? null : Cypress.log({ name: 'locate', message: locator.description, timeout: options.timeout });
+
+  return (subject) => {
+    const $root = subject && subject.jquery ? subject : cy.$$('html');
+    const { $el, strategy, healed } = locator.match($root, { strict: false });
+    recordHealed(healed);
+    holdStrictFailure(healed);
+    if (log) {
+      log.set({
+        $el,
+        consoleProps: () => ({
+          Locator: locator.description,
+          'Matched strategy': strategy ? describeStrategy(strategy) : 'none',
+          Healed: healed.map((entry) => `${entry.locator.description}: ${describeStrategy(entry.strategy)}`),
+          Yielded: $el.toArray(),
+          Elements: $el.length,
+        }),
+      });
+    }
+    return $el;
+  };
 });
 
 Cypress.Commands.add('verifyText', (selector, expectedText) => {
-  cy.get(selector).should('contain', expectedText);
+  queryElement(selector).should('contain', expectedText);
 });
 
 Cypress.Commands.add('getByTestId', (testId) => {
@@ -28,7 +113,7 @@ Cypress.Commands.add('getByTestId', (testId) => {
 });
 
 Cypress.Commands.add('verifyVisible', (selector) => {
-  cy.get(selector).should('be.visible');
+  queryElement(selector).should('be.visible');
 });
 
 Cypress.Commands.add('verifyUrlContains', (urlText) => {
@@ -0,0 +1,44 @@
+// Data-driven test generation
+// Builds one `it` block per row of a table, typically a fixture JSON file
+// imported at the top of the spec so the tests exist when Mocha collects them:
+//
+//   import scenarios from "../fixtures/loginScenarios.json";
+//   itEach(scenarios, "Should {expectedOutcome} for {userType}", (row) => { ... });
+//
+// A row with `"only": true` or `"skip": true` is run with it.only / it.skip.
+
+/**
+ * Fill {key} placeholders in a title from a row
+ * @param {string} template - Title with {key} placeholders
+ * @param {object} row - Table row
+ * @returns {string} Title with the row values substituted
+ */
+export function formatTitle(template, row) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in row ? String(row[key]) : match
+  );
+}
+
+/**
+ * Generate an `it` block for every row of a table
+ * @param {object[]} rows - Table rows
+ * @param {string|Function} title - Title template, or a function (row, index) => title
+ * @param {Function} testFn - Test body, called with (row, index)
+ */
+export function itEach(rows, title, testFn) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new Error('itEach needs a non-empty array of rows');
+  }
+
+  rows.forEach((row, index) => {
+    const testTitle =
+      typeof title === 'function' ? title(row, index) : formatTitle(title, row);
+    let register = it;
+    if (row.only) {
+      register = it.only;
+    } else if (row.skip) {
+      register = it.skip;
+    }
+    register(testTitle, () => testFn(row, index));
+  });
+}
@@ -0,0 +1,153 @@
+// Failure diagnostics
+// Records the app's console output and network traffic during every test. When
+// a test fails, writes a bundle (screenshot, DOM, console, network, URL,
+// cookies, storage, retry attempt) to
+// cypress/diagnostics/<spec>/<test>/attempt-<n>/ and links it from the
+// mochawesome report.
+
+import addContext from 'mochawesome/addContext';
+
+// Report files live in cypress/reports/mochawesome/
+const REPORT_TO_DIAGNOSTICS = '../../diagnostics';
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+const MAX_BODY_LENGTH = 5000;
+
+let consoleEntries = [];
+let networkEntries = [];
+
+const slug = (text) =>
+  text
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase()
+    .slice(0, 100);
+
+// 32-bit FNV-1a hash as 8 hex digits
+const shortHash = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+// Folder name of a test: the slug is cut at 100 characters, so the hash of the
+// full title path keeps tests with a long shared prefix (e.g. itEach rows) apart
+const testSlug = (titlePath) => {
+  const title = titlePath.join(' ');
+  return `${slug(title)}-${shortHash(title)}`;
+};
+
+// Bundle folder, relative to cypress/diagnostics; attempt is 1-based
+export const diagnosticsDir = (titlePath, attempt) =>
+  `${Cypress.spec.relative.replace(/^cypress\/e2e\//, '')}/${testSlug(titlePath)}/attempt-${attempt}`;
+
+const stringify = (value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (err) {
+    return String(value);
+  }
+};
+
+const truncate = (text) => (text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}…` : text);
+
+Cypress.on('window:before:load', (win) => {
+  const record = (level, message) => {
+    consoleEntries.push({ level, message, url: win.location.href, time: new Date().toISOString() });
+  };
+
+  CONSOLE_LEVELS.forEach((level) => {
+    const original = win.console[level];
+    win.console[level] = (...args) => {
+      record(level, args.map(stringify).join(' '));
+      return original.apply(win.console, args);
+    };
+  });
+  win.addEventListener('error', (event) => record('uncaught', event.message));
+  win.addEventListener('unhandledrejection', (event) => record('unhandledrejection', stringify(event.reason)));
+});
+
+beforeEach(() => {
+  consoleEntries = [];
+  networkEntries = [];
+
+  // Middleware sees every request first, including ones a test stubs later
+  cy.intercept({ url: '**', middleware: true }, (req) => {
+    const entry = {
+      method: req.method,
+      url: req.url,
+      requestBody: req.body ? truncate(stringify(req.body)) : undefined,
+      startedAt: new Date().toISOString(),
+      status: null,
+    };
+    const started = Date.now();
+    networkEntries.push(entry);
+
+    req.on('response', (res) => {
+      entry.status = res.statusCode;
+      entry.durationMs = Date.now() - started;
+      if (/json/.test(res.headers['content-type'] || '')) {
+        entry.responseBody = truncate(stringify(res.body));
+      }
+    });
+  });
+});
+
+afterEach(function () {
+  const test = this.currentTest;
+  if (test.state !== 'failed') {
+    return;
+  }
+
+  const attempt = Cypress.currentRetry + 1;
+  const dir = diagnosticsDir(test.titlePath(), attempt);
+  const bundle = {
+    dir,
+    spec: Cypress.spec.relative,
+    test: test.titlePath().join(' > '),
+    attempt,
+    error: test.err ? { message: test.err.message, stack: test.err.stack } : null,
+    console: consoleEntries,
+    network: networkEntries,
+  };
+
+  cy.screenshot(`diagnostics/${testSlug(test.titlePath())} -- attempt ${attempt}`, {
+    capture: 'runner',
+    log: false,
+    onAfterScreenshot(_$el, props) {
+      bundle.screenshotPath = props.path;
+    },
+  });
+  cy.url({ log: false }).then((url) => {
+    bundle.url = url;
+  });
+  cy.getCookies({ log: false }).then((cookies) => {
+    bundle.cookies = cookies;
+  });
+  cy.window({ log: false }).then((win) => {
+    const readStorage = (storage) =>
+      Object.fromEntries(Object.keys(storage).map((key) => [key, storage.getItem(key)]));
+    bundle.localStorage = readStorage(win.localStorage);
+    bundle.sessionStorage = readStorage(win.sessionStorage);
+  });
+  cy.document({ log: false }).then((doc) => {
+    bundle.dom = doc.documentElement.outerHTML;
+  });
+  cy.then(() => cy.task('writeDiagnostics', bundle, { log: false }));
+});
+
+// Link the bundle from the failed test in the mochawesome report
+Cypress.on('test:after:run', (test, runnable) => {
+  if (test.state !== 'failed') {
+    return;
+  }
+  const dir = `${REPORT_TO_DIAGNOSTICS}/${diagnosticsDir(runnable.titlePath(), test.currentRetry + 1)}`;
+  addContext({ test }, { title: 'Screenshot', value: `${dir}/screenshot.png` });
+  addContext({ test }, { title: 'Diagnostics bundle', value: `${dir}/bundle.json` });
+  addContext({ test }, { title: 'DOM snapshot', value: `${dir}/dom.html` });
+});
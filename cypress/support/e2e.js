@@ -1,17 +1,18 @@
 // Support file for E2E tests
+import { register as registerCypressGrep } from '@cypress/grep';
 import './commands';
+import './visual';
+import './performance';
+import './a11y';
+import './exceptions';
+import './diagnostics';
+import './flaky';
+import './selectorDrift';
 
-Cypress.on('uncaught:exception', (err, runnable) => {
-  return false;
-});
+// Tag and title filtering (grep / grepTags); see README
+registerCypressGrep();
 
 beforeEach(() => {
   cy.clearCookies();
   cy.viewport(1280, 720);
-});
-
-afterEach(() => {
-  if (Cypress.currentTest.state === 'failed') {
-    cy.screenshot(`failed-${Cypress.currentTest.title}`);
-  }
 });
\ No newline at end of file
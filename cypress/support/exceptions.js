@@ -0,0 +1,62 @@
+// Uncaught exception handling
+// An exception thrown by the app fails the test unless the test expects it
+// (cy.expectException) or it matches the allow-list in
+// Cypress.env('allowedExceptions'). Patterns are substrings of the error
+// message, or '/regex/flags' strings.
+
+let expectedExceptions = [];
+
+const toMatcher = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  return regex ? new RegExp(regex[1], regex[2]) : pattern;
+};
+
+const matches = (matcher, message) =>
+  matcher instanceof RegExp ? matcher.test(message) : message.includes(matcher);
+
+Cypress.on('uncaught:exception', (err) => {
+  const expectation = expectedExceptions.find(({ matcher }) => matches(matcher, err.message));
+  if (expectation) {
+    expectation.occurrences.push(err.message);
+    Cypress.log({ name: 'exception', message: `expected: ${err.message}` });
+    return false;
+  }
+
+  const allowed = (Cypress.env('allowedExceptions') || []).some((pattern) => matches(toMatcher(pattern), err.message));
+  if (allowed) {
+    Cypress.log({ name: 'exception', message: `allowed: ${err.message}` });
+    return false;
+  }
+
+  // Unexpected: let Cypress fail the test with the app's error
+  return true;
+});
+
+beforeEach(() => {
+  expectedExceptions = [];
+});
+
+// Declare that the app will throw an error matching `pattern` (string or
+// RegExp) during this test; it is then not treated as a failure. Call it in a
+// test or beforeEach, before the action that throws.
+Cypress.Commands.add('expectException', (pattern) => {
+  expectedExceptions.push({ pattern: String(pattern), matcher: toMatcher(pattern), occurrences: [] });
+  Cypress.log({ name: 'expectException', message: String(pattern) });
+});
+
+// Assert that every exception declared with cy.expectException has been
+// thrown, retrying until the command timeout. Yields the messages caught.
+Cypress.Commands.add('verifyExpectedExceptions', () =>
+  cy
+    .wrap(expectedExceptions, { log: false })
+    .should((expectations) => {
+      expect(expectations, 'exceptions declared with cy.expectException').not.to.be.empty;
+      expectations.forEach(({ pattern, occurrences }) => {
+        expect(occurrences, `uncaught exception matching ${pattern}`).not.to.be.empty;
+      });
+    })
+    .then((expectations) => expectations.flatMap(({ occurrences }) => occurrences))
+);
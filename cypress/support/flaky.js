@@ -0,0 +1,58 @@
+// Quarantined tests
+// A test tagged @quarantine (in its { tags } or its suite's, or in its title),
+// or on Cypress.env('flaky').quarantined because its flakiness score crossed the
+// threshold (see cypress/plugins/flaky.js), still runs and retries. A failure on its last
+// attempt is logged and added to the mochawesome report instead of failing the
+// run, and the flaky history still records it as a failure.
+
+import addContext from 'mochawesome/addContext';
+
+export const QUARANTINE_TAG = '@quarantine';
+
+let quarantinedFailures = [];
+
+const testId = (runnable) => [Cypress.spec.relative, ...runnable.titlePath()].join(' > ');
+
+// Tags of the test and its suites, as passed to it()/describe() in { tags }.
+// Cypress keeps the config per level in _testConfig.testConfigList
+const configuredTags = (runnable) => {
+  const tags = [];
+  for (let node = runnable; node; node = node.parent) {
+    const config = node._testConfig || {};
+    const levels = config.testConfigList
+      ? config.testConfigList.map(({ overrides }) => overrides)
+      : [config.unverifiedTestConfig || config];
+    levels.forEach((overrides) => tags.push(...[].concat((overrides && overrides.tags) || [])));
+  }
+  return tags;
+};
+
+export const isQuarantined = (runnable) =>
+  configuredTags(runnable).includes(QUARANTINE_TAG) ||
+  runnable.fullTitle().includes(QUARANTINE_TAG) ||
+  ((Cypress.env('flaky') || {}).quarantined || []).includes(testId(runnable));
+
+Cypress.on('fail', (err, runnable) => {
+  const lastAttempt = runnable.currentRetry() >= runnable.retries();
+  if (runnable.type !== 'test' || !lastAttempt || !isQuarantined(runnable)) {
+    throw err;
+  }
+
+  quarantinedFailures.push({ id: testId(runnable), message: err.message });
+  Cypress.log({ name: 'quarantine', message: `failure ignored: ${err.message}` });
+  return false;
+});
+
+Cypress.on('test:after:run', (test, runnable) => {
+  const failure = quarantinedFailures.find(({ id }) => id === testId(runnable));
+  if (failure) {
+    addContext({ test }, { title: 'Quarantined failure', value: failure.message });
+  }
+});
+
+after(() => {
+  if (quarantinedFailures.length > 0) {
+    cy.task('recordQuarantined', quarantinedFailures.map(({ id }) => id), { log: false });
+  }
+  quarantinedFailures = [];
+});
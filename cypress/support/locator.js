@@ -0,0 +1,405 @@
+// Locators
+// A Locator says how to find an element instead of being a raw CSS string. It
+// has a primary strategy (data-test attribute, ARIA role, visible text or CSS)
+// and fallbacks that are tried in order when the primary finds nothing. It can
+// be scoped to a parent Locator, narrowed by text, by a child or by position,
+// and carries a readable description for the command log:
+//
+//   const productCard = Locator.testId('inventory-item').or(Locator.css('.inventory_item')).describe('product card');
+//   const addButton = Locator.role('button', { name: 'Add to cart' })
+//     .within(productCard.has(Locator.testId('inventory-item-name').withText('Sauce Labs Backpack', { exact: true })))
+//     .describe('Backpack "Add to cart" button');
+//
+//   cy.locate(addButton).click();   // retries until a strategy matches
+//
+// Locators are immutable: every method returns a new one. BasePage methods
+// accept a Locator wherever they take a selector. This module has no side
+// effects so specs and page objects can import it; cy.locate is registered in
+// commands.js.
+//
+// Self-healing: when the primary strategy finds nothing and a fallback matches,
+// the Locator is "healed" and the match carries on; cy.locate logs a warning
+// and lists it in the selector drift report (cypress/support/selectorDrift.js).
+// With strict selectors (env selectorHealing.strict) a fallback match fails
+// instead, so release runs fail on drift: resolve() throws, and cy.locate fails
+// the test as soon as the query settles (see selectorDrift.js).
+
+// Identifies Locators across bundles (specs and the support file each get their
+// own copy of this module, so instanceof is not reliable)
+const LOCATOR = Symbol.for('cypress-pom.locator');
+
+// Elements that have a role without a role attribute
+const IMPLICIT_ROLES = {
+  button: 'button, input[type="button"], input[type="submit"], input[type="reset"]',
+  link: 'a[href]',
+  textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], textarea',
+  searchbox: 'input[type="search"]',
+  checkbox: 'input[type="checkbox"]',
+  radio: 'input[type="radio"]',
+  combobox: 'select',
+  option: 'option',
+  heading: 'h1, h2, h3, h4, h5, h6',
+  img: 'img[alt]:not([alt=""])',
+  list: 'ul, ol',
+  listitem: 'li',
+  navigation: 'nav',
+  main: 'main',
+  form: 'form',
+};
+
+const FORM_CONTROLS = ['INPUT', 'SELECT', 'TEXTAREA'];
+
+const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const textMatches = (actual, expected, exact) => {
+  if (expected instanceof RegExp) {
+    return expected.test(actual);
+  }
+  return exact ? actual === String(expected) : actual.includes(String(expected));
+};
+
+const formatText = (text) => (text instanceof RegExp ? String(text) : `"${text}"`);
+
+export const strictSelectors = () => Boolean((Cypress.env('selectorHealing') || {}).strict);
+
+// Accessible name, close enough to the ARIA rules for test lookups
+const accessibleName = (el) => {
+  const doc = el.ownerDocument;
+  if (el.getAttribute('aria-label')) {
+    return normalize(el.getAttribute('aria-label'));
+  }
+  if (el.getAttribute('aria-labelledby')) {
+    return normalize(
+      el
+        .getAttribute('aria-labelledby')
+        .split(/\s+/)
+        .map((id) => doc.getElementById(id))
+        .filter(Boolean)
+        .map((label) => label.textContent)
+        .join(' ')
+    );
+  }
+  if (FORM_CONTROLS.includes(el.tagName)) {
+    const label =
+      (el.id && doc.querySelector(`label[for="${Cypress.$.escapeSelector(el.id)}"]`)) || el.closest('label');
+    if (label) {
+      return normalize(label.textContent);
+    }
+    if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) {
+      return normalize(el.value);
+    }
+    return normalize(el.getAttribute('title') || el.getAttribute('placeholder'));
+  }
+  if (el.tagName === 'IMG') {
+    return normalize(el.getAttribute('alt'));
+  }
+  return normalize(el.textContent) || normalize(el.getAttribute('title'));
+};
+
+const hasRole = (el, role) => {
+  const explicit = el.getAttribute('role');
+  return explicit ? explicit.split(/\s+/)[0] === role : Cypress.$(el).is(IMPLICIT_ROLES[role] || '');
+};
+
+// How each strategy finds candidates under the root elements
+const STRATEGIES = {
+  testId: {
+    find: ($root, { value }) => $root.find(`[data-test="${value}"]`),
+    describe: ({ value }) => `data-test "${value}"`,
+  },
+  role: {
+    find: ($root, { value, name, exact }) =>
+      $root
+        .find(IMPLICIT_ROLES[value] ? `[role~="${value}"], ${IMPLICIT_ROLES[value]}` : `[role~="${value}"]`)
+        .filter((index, el) => hasRole(el, value) && (name === undefined || textMatches(accessibleName(el), name, exact))),
+    describe: ({ value, name }) => (name === undefined ? `role ${value}` : `role ${value} ${formatText(name)}`),
+  },
+  text: {
+    // Innermost elements whose text matches, so a match yields the label, not its ancestors
+    find: ($root, { value, selector, exact }) => {
+      const $matches = $root.find(selector).filter((index, el) => textMatches(normalize(el.textContent), value, exact));
+      return $matches.filter((index, el) => !$matches.toArray().some((other) => other !== el && el.contains(other)));
+    },
+    describe: ({ value, selector }) => `text ${formatText(value)}${selector === '*' ? '' : ` in ${selector}`}`,
+  },
+  css: {
+    find: ($root, { value }) => $root.find(value),
+    describe: ({ value }) => `css "${value}"`,
+  },
+};
+
+/**
+ * Is the value a Locator
+ * @param {*} value - Anything
+ * @returns {boolean} True for Locators from any copy of this module
+ */
+export const isLocator = (value) => Boolean(value && value[LOCATOR]);
+
+export class Locator {
+  /**
+   * Use the static factories (Locator.testId, role, text, css) instead
+   * @param {object} state - strategies, parent, filters, index and label
+   */
+  constructor({ strategies, parent = null, filters = [], index = null, label = null }) {
+    this[LOCATOR] = true;
+    this.strategies = strategies;
+    this.parent = parent;
+    this.filters = filters;
+    this.index = index;
+    this.label = label;
+    Object.freeze(this);
+  }
+
+  /**
+   * Element with a data-test attribute
+   * @param {string} value - data-test value, e.g. "login-button"
+   * @returns {Locator} New Locator
+   */
+  static testId(value) {
+    return new Locator({ strategies: [{ type: 'testId', value }] });
+  }
+
+  /**
+   * Element with an ARIA role (explicit or implied by its tag), optionally with
+   * an accessible name (aria-label, label, alt, value or text)
+   * @param {string} role - Role, e.g. "button", "link", "textbox", "combobox"
+   * @param {object} options - Name options
+   * @param {string|RegExp} options.name - Accessible name; a string matches as a substring unless exact
+   * @param {boolean} options.exact - Match the name exactly (default: false)
+   * @returns {Locator} New Locator
+   */
+  static role(role, { name, exact = false } = {}) {
+    return new Locator({ strategies: [{ type: 'role', value: role, name, exact }] });
+  }
+
+  /**
+   * Innermost element whose visible text matches
+   * @param {string|RegExp} text - Text; a string matches as a substring unless exact
+   * @param {object} options - Text options
+   * @param {string} options.selector - Only consider elements matching this CSS selector (default: any)
+   * @param {boolean} options.exact - Match the whole text exactly (default: false)
+   * @returns {Locator} New Locator
+   */
+  static text(text, { selector = '*', exact = false } = {}) {
+    return new Locator({ strategies: [{ type: 'text', value: text, selector, exact }] });
+  }
+
+  /**
+   * Element matching a CSS selector
+   * @param {string} selector - CSS selector
+   * @returns {Locator} New Locator
+   */
+  static css(selector) {
+    return new Locator({ strategies: [{ type: 'css', value: selector }] });
+  }
+
+  /**
+   * The Locator itself, or a CSS Locator for a selector string
+   * @param {string|Locator} target - Selector or Locator
+   * @returns {Locator} Locator
+   */
+  static from(target) {
+    if (isLocator(target)) {
+      return target;
+    }
+    if (typeof target !== 'string') {
+      throw new Error(`Expected a selector string or a Locator, got ${typeof target}`);
+    }
+    return Locator.css(target);
+  }
+
+  // Copy of this Locator with some state replaced
+  derive(changes) {
+    return new Locator({
+      strategies: this.strategies,
+      parent: this.parent,
+      filters: this.filters,
+      index: this.index,
+      label: this.label,
+      ...changes,
+    });
+  }
+
+  /**
+   * Add fallback strategies, tried in order when the earlier ones match nothing
+   * @param {...(Locator|string)} fallbacks - Locators (their strategies are used) or CSS selectors
+   * @returns {Locator} New Locator
+   */
+  or(...fallbacks) {
+    return this.derive({
+      strategies: [...this.strategies, ...fallbacks.flatMap((fallback) => Locator.from(fallback).strategies)],
+    });
+  }
+
+  /**
+   * Only look inside the elements of a parent Locator
+   * @param {Locator|string} parent - Parent Locator or CSS selector
+   * @returns {Locator} New Locator
+   */
+  within(parent) {
+    return this.derive({ parent: Locator.from(parent) });
+  }
+
+  /**
+   * A Locator for `child` inside this one (the same as child.within(this))
+   * @param {Locator|string} child - Child Locator or CSS selector
+   * @returns {Locator} New Locator
+   */
+  locate(child) {
+    return Locator.from(child).within(this);
+  }
+
+  /**
+   * Keep elements whose text matches
+   * @param {string|RegExp} text - Text; a string matches as a substring unless exact
+   * @param {object} options - Text options
+   * @param {boolean} options.exact - Match the whole text exactly (default: false)
+   * @returns {Locator} New Locator
+   */
+  withText(text, { exact = false } = {}) {
+    return this.derive({ filters: [...this.filters, { type: 'text', text, exact }] });
+  }
+
+  /**
+   * Keep elements that contain a match for `child`
+   * @param {Locator|string} child - Child Locator or CSS selector
+   * @returns {Locator} New Locator
+   */
+  has(child) {
+    return this.derive({ filters: [...this.filters, { type: 'has', child: Locator.from(child) }] });
+  }
+
+  /**
+   * Only the element at a position among the matches
+   * @param {number} index - 0-based position; negative counts from the end
+   * @returns {Locator} New Locator
+   */
+  nth(index) {
+    return this.derive({ index });
+  }
+
+  // Only the first match
+  first() {
+    return this.nth(0);
+  }
+
+  // Only the last match
+  last() {
+    return this.nth(-1);
+  }
+
+  /**
+   * Set the description shown in the command log and in errors
+   * @param {string} label - e.g. "login button"
+   * @returns {Locator} New Locator
+   */
+  describe(label) {
+    return this.derive({ label });
+  }
+
+  /**
+   * Readable description: the label if set, otherwise built from the strategies
+   * @type {string}
+   */
+  get description() {
+    if (this.label) {
+      return this.label;
+    }
+    const strategies = this.strategies.map((strategy) => STRATEGIES[strategy.type].describe(strategy)).join(' or ');
+    const filters = this.filters.map((filter) =>
+      filter.type === 'text' ? ` with text ${formatText(filter.text)}` : ` has (${filter.child.description})`
+    );
+    const position = this.index === null ? '' : ` [${this.index}]`;
+    const scope = this.parent ? ` within (${this.parent.description})` : '';
+    return `${strategies}${filters.join('')}${position}${scope}`;
+  }
+
+  // Locators print as their description (e.g. in assertion messages)
+  toString() {
+    return this.description;
+  }
+
+  // Elements that pass every withText/has filter; healed `has` children are added to healed
+  applyFilters($elements, healed, strict) {
+    return this.filters.reduce(
+      ($current, filter) =>
+        $current.filter((index, el) => {
+          if (filter.type === 'text') {
+            return textMatches(normalize(el.textContent), filter.text, filter.exact);
+          }
+          const child = filter.child.match(Cypress.$(el), { strict });
+          healed.push(...child.healed);
+          return child.$el.length > 0;
+        }),
+      $elements
+    );
+  }
+
+  /**
+   * Find the elements synchronously, reporting which strategy matched
+   * @param {JQuery} $root - Elements to search under (e.g. the document element)
+   * @param {object} options - strict: throw when a fallback matches (default: env
+   *   selectorHealing.strict); cy.locate passes false and fails the test itself
+   * @returns {{$el: JQuery, strategy: object|null, strategyIndex: number, healed: object[]}} Matches
+   *   of the first strategy that found any (strategy is null and $el empty when none did), and
+   *   { locator, strategy } for this Locator, its parent or `has` children matched by a fallback
+   * @throws {Error} When a fallback matched and strict is on
+   */
+  match($root, { strict = strictSelectors() } = {}) {
+    const parent = this.parent ? this.parent.match($root, { strict }) : { $el: $root, healed: [] };
+    const healed = [...parent.healed];
+
+    for (let strategyIndex = 0; strategyIndex < this.strategies.length; strategyIndex += 1) {
+      const strategy = this.strategies[strategyIndex];
+      const $found = this.applyFilters(STRATEGIES[strategy.type].find(parent.$el, strategy), healed, strict);
+      if ($found.length > 0) {
+        if (strategyIndex > 0) {
+          if (strict) {
+            throw driftError(this, strategy);
+          }
+          healed.push({ locator: this, strategy });
+        }
+        return { $el: this.index === null ? $found : $found.eq(this.index), strategy, strategyIndex, healed };
+      }
+    }
+    return { $el: parent.$el.filter(() => false), strategy: null, strategyIndex: -1, healed };
+  }
+
+  /**
+   * Find the elements synchronously
+   * @param {JQuery} $root - Elements to search under
+   * @returns {JQuery} Matches of the first strategy that found any
+   */
+  resolve($root) {
+    return this.match($root).$el;
+  }
+}
+
+/**
+ * Describe a strategy, e.g. 'data-test "login-button"'
+ * @param {object} strategy - Strategy from a Locator's strategies
+ * @returns {string} Description
+ */
+export const describeStrategy = (strategy) => STRATEGIES[strategy.type].describe(strategy);
+
+/**
+ * Error for a Locator healed while strict selectors are on
+ * @param {Locator} locator - Locator whose fallback matched
+ * @param {object} strategy - The fallback strategy that matched
+ * @returns {Error} Error naming the Locator, its primary strategy and the fallback
+ */
+export const driftError = (locator, strategy) =>
+  new Error(
+    `Selector drift on ${locator.description}: ${describeStrategy(locator.strategies[0])} found nothing ` +
+      `and the fallback ${describeStrategy(strategy)} matched. Self-healing is off (strict selectors); ` +
+      'update the Locator.'
+  );
+
+/**
+ * Query a selector with cy.get or a Locator with cy.locate
+ * @param {string|Locator} target - CSS selector, alias or Locator
+ * @param {object} options - Query options (timeout, log)
+ * @returns {Cypress.Chainable<JQuery>} Matched elements
+ */
+export const queryElement = (target, options = {}) =>
+  isLocator(target) ? cy.locate(target, options) : cy.get(target, options);
@@ -0,0 +1,104 @@
+// Performance timing commands
+// Budgets (ms) come from the environment profile via Cypress.env('performanceBudgets');
+// every measurement is written to cypress/reports/performance by the recordTiming task.
+
+const budgetFor = (name) => (Cypress.env('performanceBudgets') || {})[name];
+
+const recordTiming = (timing) =>
+  cy.task(
+    'recordTiming',
+    {
+      ...timing,
+      spec: Cypress.spec.relative,
+      test: Cypress.currentTest.titlePath.join(' > '),
+      browser: Cypress.browser.name,
+    },
+    { log: false }
+  );
+
+const assertWithinBudget = ({ name, duration, budget }) => {
+  expect(duration, `${name} took ${duration}ms (budget ${budget}ms)`).to.be.at.most(budget);
+};
+
+// Run `action` (Cypress commands that finish with an assertion proving the action
+// is done) and time it from the first to the last command. Options: budget
+// (default: the profile budget for `name`) and assertBudget (default true).
+// Yields { name, duration, budget, withinBudget }.
+Cypress.Commands.add('measure', (name, action, options = {}) => {
+  const { budget = budgetFor(name), assertBudget = true } = options;
+  let start;
+
+  cy.then(() => {
+    performance.mark(`${name}:start`);
+    start = performance.now();
+  });
+
+  action();
+
+  return cy.then(() => {
+    performance.measure(name, `${name}:start`);
+    const duration = Math.round(performance.now() - start);
+    const timing = {
+      name,
+      duration,
+      budget: budget === undefined ? null : budget,
+      withinBudget: budget === undefined ? null : duration <= budget,
+    };
+
+    Cypress.log({
+      name: 'measure',
+      message: `${name}: ${duration}ms${budget === undefined ? '' : ` (budget ${budget}ms)`}`,
+      consoleProps: () => timing,
+    });
+
+    recordTiming(timing);
+    if (assertBudget && budget !== undefined) {
+      assertWithinBudget(timing);
+    }
+    return cy.wrap(timing, { log: false });
+  });
+});
+
+// Navigation Timing of the current page, in ms from the start of navigation.
+// Retries until the load event has finished. Yields
+// { url, ttfb, domContentLoaded, load, transferSize }.
+Cypress.Commands.add('getNavigationTiming', () =>
+  cy
+    .window({ log: false })
+    .should((win) => {
+      const [entry] = win.performance.getEntriesByType('navigation');
+      expect(entry && entry.loadEventEnd, 'load event finished').to.be.greaterThan(0);
+    })
+    .then((win) => {
+      const [entry] = win.performance.getEntriesByType('navigation');
+      return {
+        url: entry.name,
+        ttfb: Math.round(entry.responseStart),
+        domContentLoaded: Math.round(entry.domContentLoadedEventEnd),
+        load: Math.round(entry.loadEventEnd),
+        transferSize: entry.transferSize,
+      };
+    })
+);
+
+// Assert the current page loaded within the "pageLoad" budget (or options.budget)
+// and record it. Yields the navigation timing plus the budget.
+Cypress.Commands.add('verifyPageLoadBudget', (options = {}) => {
+  const { budget = budgetFor('pageLoad') } = options;
+
+  return cy.getNavigationTiming().then((navigation) => {
+    const timing = {
+      ...navigation,
+      name: `pageLoad ${new URL(navigation.url).pathname}`,
+      duration: navigation.load,
+      budget: budget === undefined ? null : budget,
+      withinBudget: budget === undefined ? null : navigation.load <= budget,
+    };
+
+    recordTiming(timing);
+    if (budget !== undefined) {
+      assertWithinBudget(timing);
+    }
+    return cy.wrap(timing, { log: false });
+  });
+});
@@ -0,0 +1,90 @@
+// Selector drift
+// A Locator whose primary strategy found nothing but whose fallback matched was
+// healed (see locator.js). cy.locate reports it here: the test carries on, the
+// command log shows a "healed" warning, the mochawesome report gets a note and
+// an after() hook sends the spec's healed Locators to the drift report
+// (cypress/plugins/selectorDrift.js).
+//
+// With strict selectors the healed match fails the test instead. cy.locate is a
+// query, and Cypress retries a throwing query until the command timeout, so the
+// failure is held here and thrown once the query has settled (command:end).
+
+import addContext from 'mochawesome/addContext';
+import { describeStrategy, driftError, strictSelectors } from './locator';
+
+let healedLocators = [];
+let strictFailure = null;
+
+const testTitle = () => (Cypress.currentTest ? Cypress.currentTest.titlePath.join(' > ') : '');
+
+/**
+ * Record Locators healed by a match, once per test
+ * @param {object[]} healed - { locator, strategy } from Locator#match
+ */
+export const recordHealed = (healed) => {
+  healed.forEach(({ locator, strategy }) => {
+    const entry = {
+      locator: locator.description,
+      primary: describeStrategy(locator.strategies[0]),
+      healedWith: describeStrategy(strategy),
+      strategies: locator.strategies.map(describeStrategy),
+      spec: Cypress.spec.relative,
+      test: testTitle(),
+    };
+    const seen = healedLocators.some(
+      (other) => other.test === entry.test && other.locator === entry.locator && other.healedWith === entry.healedWith
+    );
+    if (seen) {
+      return;
+    }
+
+    healedLocators.push(entry);
+    Cypress.log({
+      name: 'healed',
+      message: `${entry.locator}: ${entry.primary} found nothing, used ${entry.healedWith}`,
+      consoleProps: () => ({ ...entry }),
+    });
+  });
+};
+
+/**
+ * Hold the strict selector failure of a cy.locate attempt; each retry replaces
+ * it, so only the match the query settles on fails the test
+ * @param {object[]} healed - { locator, strategy } from Locator#match
+ */
+export const holdStrictFailure = (healed) => {
+  strictFailure = strictSelectors() && healed.length > 0 ? driftError(healed[0].locator, healed[0].strategy) : null;
+};
+
+Cypress.on('command:end', () => {
+  if (strictFailure) {
+    const err = strictFailure;
+    strictFailure = null;
+    throw err;
+  }
+});
+
+Cypress.on('test:before:run', () => {
+  strictFailure = null;
+});
+
+Cypress.on('test:after:run', (test, runnable) => {
+  const title = runnable.titlePath().join(' > ');
+  const healed = healedLocators.filter((entry) => entry.test === title);
+  if (healed.length > 0) {
+    addContext(
+      { test },
+      {
+        title: 'Healed selectors',
+        value: healed.map((entry) => `${entry.locator}: ${entry.primary} -> ${entry.healedWith}`),
+      }
+    );
+  }
+});
+
+after(() => {
+  if (healedLocators.length > 0) {
+    cy.task('recordSelectorDrift', healedLocators, { log: false });
+  }
+  healedLocators = [];
+});
@@ -0,0 +1,57 @@
+// Visual comparison commands
+// Screenshots are compared pixel by pixel with the approved baselines in
+// cypress/visual (see cypress/plugins/visualDiff.js). Defaults come from
+// Cypress.env('visual') and can be overridden per call.
+
+// Screenshot the page, or the subject element, and compare it with its baseline.
+// Options: threshold (per-pixel tolerance 0-1), maxDiffRatio (share of pixels
+// allowed to differ), baseline (compare with another snapshot's baseline) and
+// expectDiff (assert the images differ instead), plus any cy.screenshot option.
+// Yields { name, status, diffRatio, diffPath, ... }.
+Cypress.Commands.add('compareSnapshot', { prevSubject: 'optional' }, (subject, name, options = {}) => {
+  const { threshold, maxDiffRatio, baseline, expectDiff = false, ...screenshotOptions } = {
+    ...Cypress.env('visual'),
+    ...options,
+  };
+  let screenshotPath;
+
+  (subject ? cy.wrap(subject, { log: false }) : cy).screenshot(`visual/${name}`, {
+    ...screenshotOptions,
+    overwrite: true,
+    onAfterScreenshot(_$el, props) {
+      screenshotPath = props.path;
+    },
+  });
+
+  return cy
+    .then(() =>
+      cy.task(
+        'compareScreenshot',
+        { name, screenshotPath, browser: Cypress.browser.name, baseline, threshold, maxDiffRatio, expectDiff },
+        { log: false }
+      )
+    )
+    .then((result) => {
+      const difference = result.diffRatio === null ? 'no baseline' : `${(result.diffRatio * 100).toFixed(2)}% differ`;
+      Cypress.log({
+        name: 'compareSnapshot',
+        message: `${name}: ${result.status} (${difference})`,
+        consoleProps: () => result,
+      });
+
+      if (result.status === 'missing') {
+        throw new Error(
+          `No ${result.browser} baseline for "${result.baseline}". Check ${result.actualPath || screenshotPath} and run \`npm run visual:approve\``
+        );
+      }
+      if (expectDiff) {
+        expect(result.status, `${name} differs from baseline "${result.baseline}"`).to.equal('changed');
+      } else {
+        expect(
+          result.status,
+          `${name} matches its baseline (${difference}${result.diffPath ? `, diff: ${result.diffPath}` : ''})`
+        ).to.equal('match');
+      }
+      return result;
+    });
+});
@@ -0,0 +1,861 @@
+// app.js - Client for the local Swag Labs stand-in
+// Renders every page from document.body.dataset.page using the same ids,
+// data-test attributes and CSS classes as https://www.saucedemo.com, and keeps
+// session state where the real site does: the `session-username` cookie and
+// the `cart-contents` localStorage entry.
+
+(function () {
+  "use strict";
+
+  var PASSWORD = "secret_sauce";
+  var USERS = [
+    "standard_user",
+    "locked_out_user",
+    "problem_user",
+    "performance_glitch_user",
+    "error_user",
+    "visual_user",
+  ];
+  var SESSION_COOKIE = "session-username";
+  var CART_KEY = "cart-contents";
+  var LOGIN_ERROR_KEY = "login-error";
+  var TAX_RATE = 0.08;
+  var PERFORMANCE_GLITCH_DELAY = 2500;
+  var BROKEN_IMAGE = "/img/sl-404.svg";
+  // API calls that take longer than this fail like a network error
+  var REQUEST_TIMEOUT = 3000;
+
+  // Products error_user cannot add to the cart
+  var ERROR_USER_BROKEN_PRODUCTS = [1, 3, 5];
+
+  var SORT_OPTIONS = [
+    { value: "az", label: "Name (A to Z)" },
+    { value: "za", label: "Name (Z to A)" },
+    { value: "lohi", label: "Price (low to high)" },
+    { value: "hilo", label: "Price (high to low)" },
+  ];
+
+  var root = document.getElementById("root");
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function slugify(name) {
+    return name.toLowerCase().replace(/\s+/g, "-");
+  }
+
+  function formatPrice(value) {
+    return "$" + value.toFixed(2);
+  }
+
+  function getCookie(name) {
+    var match = document.cookie.match(
+      new RegExp("(?:^|; )" + name + "=([^;]*)")
+    );
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  function setCookie(name, value) {
+    document.cookie =
+      name + "=" + encodeURIComponent(value) + "; path=/; SameSite=Lax";
+  }
+
+  function deleteCookie(name) {
+    document.cookie =
+      name + "=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT";
+  }
+
+  function currentUser() {
+    return getCookie(SESSION_COOKIE);
+  }
+
+  function getCart() {
+    try {
+      var ids = JSON.parse(window.localStorage.getItem(CART_KEY) || "[]");
+      return Array.isArray(ids) ? ids : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function setCart(ids) {
+    if (ids.length === 0) {
+      window.localStorage.removeItem(CART_KEY);
+    } else {
+      window.localStorage.setItem(CART_KEY, JSON.stringify(ids));
+    }
+    updateCartBadge();
+  }
+
+  function addToCart(id) {
+    var ids = getCart();
+    if (ids.indexOf(id) === -1) {
+      ids.push(id);
+    }
+    setCart(ids);
+  }
+
+  function removeFromCart(id) {
+    setCart(
+      getCart().filter(function (cartId) {
+        return cartId !== id;
+      })
+    );
+  }
+
+  function fetchWithTimeout(url, options) {
+    var controller = new AbortController();
+    var timer = setTimeout(function () {
+      controller.abort();
+    }, REQUEST_TIMEOUT);
+    return fetch(
+      url,
+      Object.assign({}, options, { signal: controller.signal })
+    ).then(
+      function (response) {
+        clearTimeout(timer);
+        return response;
+      },
+      function (err) {
+        clearTimeout(timer);
+        throw err;
+      }
+    );
+  }
+
+  function fetchProducts() {
+    return fetchWithTimeout("/api/products").then(function (response) {
+      if (!response.ok) {
+        throw new Error("Product request failed with " + response.status);
+      }
+      return response.json();
+    });
+  }
+
+  function imageFor(product) {
+    var user = currentUser();
+    if (user === "problem_user") {
+      return BROKEN_IMAGE;
+    }
+    if (user === "visual_user" && product.id === 4) {
+      return BROKEN_IMAGE;
+    }
+    return product.image;
+  }
+
+  function cartProducts(products) {
+    return getCart()
+      .map(function (id) {
+        return products.find(function (product) {
+          return product.id === id;
+        });
+      })
+      .filter(Boolean);
+  }
+
+  function requireLogin() {
+    if (currentUser()) {
+      return true;
+    }
+    window.sessionStorage.setItem(
+      LOGIN_ERROR_KEY,
+      "Epic sadface: You can only access '" +
+        window.location.pathname +
+        "' when you are logged in."
+    );
+    window.location.href = "/";
+    return false;
+  }
+
+  function errorBanner(message) {
+    return (
+      '<h3 data-test="error"><button class="error-button" data-test="error-button" type="button" aria-label="Close error">' +
+      '<svg width="10" height="10" viewBox="0 0 10 10" aria-hidden="true"><path d="M1 1 L9 9 M9 1 L1 9" stroke="currentColor" stroke-width="2"/></svg>' +
+      "</button>" +
+      escapeHtml(message) +
+      "</h3>"
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared layout: header, burger menu, footer
+  // ---------------------------------------------------------------------------
+
+  function renderLayout(title, secondaryExtras, content) {
+    var visualFailure = currentUser() === "visual_user" ? " visual_failure" : "";
+
+    root.innerHTML =
+      '<div id="page_wrapper" class="page_wrapper">' +
+      '<div id="contents_wrapper">' +
+      '<div class="header_container" id="header_container" data-test="header-container">' +
+      '<div class="primary_header" data-test="primary-header">' +
+      '<div id="menu_button_container">' +
+      '<div class="bm-burger-button"><button id="react-burger-menu-btn" type="button">Open Menu</button></div>' +
+      '<div class="bm-menu-wrap" aria-hidden="true" hidden>' +
+      '<nav class="bm-item-list">' +
+      '<a id="inventory_sidebar_link" class="bm-item menu-item" data-test="inventory-sidebar-link" href="/inventory.html">All Items</a>' +
+      '<a id="about_sidebar_link" class="bm-item menu-item" data-test="about-sidebar-link" href="https://saucelabs.com/">About</a>' +
+      '<a id="logout_sidebar_link" class="bm-item menu-item" data-test="logout-sidebar-link" href="#">Logout</a>' +
+      '<a id="reset_sidebar_link" class="bm-item menu-item" data-test="reset-sidebar-link" href="#">Reset App State</a>' +
+      "</nav>" +
+      '<div class="bm-cross-button"><button id="react-burger-cross-btn" type="button">Close Menu</button></div>' +
+      "</div>" +
+      "</div>" +
+      '<div class="header_label"><div class="app_logo">Swag Labs</div></div>' +
+      '<div id="shopping_cart_container" class="shopping_cart_container' +
+      visualFailure +
+      '">' +
+      '<a class="shopping_cart_link" data-test="shopping-cart-link" href="/cart.html"></a>' +
+      "</div>" +
+      "</div>" +
+      '<div class="header_secondary_container" data-test="secondary-header">' +
+      '<span class="title" data-test="title">' +
+      escapeHtml(title) +
+      "</span>" +
+      (secondaryExtras || "") +
+      "</div>" +
+      "</div>" +
+      '<div id="main_content">' +
+      content +
+      "</div>" +
+      "</div>" +
+      '<footer class="footer" data-test="footer">' +
+      '<div class="footer_copy" data-test="footer-copy">&copy; Sauce Labs. All Rights Reserved. Terms of Service | Privacy Policy</div>' +
+      "</footer>" +
+      "</div>";
+
+    updateCartBadge();
+    bindMenu();
+  }
+
+  function updateCartBadge() {
+    var link = document.querySelector(".shopping_cart_link");
+    if (!link) {
+      return;
+    }
+    var count = getCart().length;
+    link.innerHTML =
+      count > 0
+        ? '<span class="shopping_cart_badge" data-test="shopping-cart-badge">' +
+          count +
+          "</span>"
+        : "";
+  }
+
+  function bindMenu() {
+    var menu = document.querySelector(".bm-menu-wrap");
+
+    function setMenuOpen(open) {
+      menu.hidden = !open;
+      menu.setAttribute("aria-hidden", open ? "false" : "true");
+    }
+
+    document
+      .getElementById("react-burger-menu-btn")
+      .addEventListener("click", function () {
+        setMenuOpen(true);
+      });
+    document
+      .getElementById("react-burger-cross-btn")
+      .addEventListener("click", function () {
+        setMenuOpen(false);
+      });
+    document
+      .getElementById("logout_sidebar_link")
+      .addEventListener("click", function (event) {
+        event.preventDefault();
+        deleteCookie(SESSION_COOKIE);
+        window.location.href = "/";
+      });
+    document
+      .getElementById("reset_sidebar_link")
+      .addEventListener("click", function (event) {
+        event.preventDefault();
+        setCart([]);
+        document.dispatchEvent(new CustomEvent("app-state-reset"));
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Pages
+  // ---------------------------------------------------------------------------
+
+  function renderLoginPage() {
+    root.innerHTML =
+      '<div class="login_container">' +
+      '<div class="login_logo">Swag Labs</div>' +
+      '<div class="login_wrapper"><div class="login_wrapper-inner">' +
+      '<div id="login_button_container" class="form_column"><div class="login-box">' +
+      "<form novalidate>" +
+      '<div class="form_group"><input class="input_error form_input" placeholder="Username" type="text" data-test="username" id="user-name" name="user-name" autocorrect="off" autocapitalize="none" value="" /></div>' +
+      '<div class="form_group"><input class="input_error form_input" placeholder="Password" type="password" data-test="password" id="password" name="password" autocorrect="off" autocapitalize="none" value="" /></div>' +
+      '<div class="error-message-container"></div>' +
+      '<input type="submit" class="submit-button btn_action" data-test="login-button" id="login-button" name="login-button" value="Login" />' +
+      "</form>" +
+      "</div></div>" +
+      "</div>" +
+      '<div class="login_credentials_wrap"><div class="login_credentials_wrap-inner">' +
+      '<div id="login_credentials" class="login_credentials" data-test="login-credentials"><h4>Accepted usernames are:</h4>' +
+      USERS.map(escapeHtml).join("<br />") +
+      "</div>" +
+      '<div class="login_password" data-test="login-password"><h4>Password for all users:</h4>' +
+      PASSWORD +
+      "</div>" +
+      "</div></div>" +
+      "</div>" +
+      "</div>";
+
+    var form = root.querySelector("form");
+    var username = document.getElementById("user-name");
+    var password = document.getElementById("password");
+    var errorContainer = root.querySelector(".error-message-container");
+
+    function showError(message) {
+      errorContainer.className = "error-message-container error";
+      errorContainer.innerHTML = errorBanner(message);
+      username.classList.add("error");
+      password.classList.add("error");
+      errorContainer
+        .querySelector(".error-button")
+        .addEventListener("click", clearError);
+    }
+
+    function clearError() {
+      errorContainer.className = "error-message-container";
+      errorContainer.innerHTML = "";
+      username.classList.remove("error");
+      password.classList.remove("error");
+    }
+
+    var pendingError = window.sessionStorage.getItem(LOGIN_ERROR_KEY);
+    if (pendingError) {
+      window.sessionStorage.removeItem(LOGIN_ERROR_KEY);
+      showError(pendingError);
+    }
+
+    form.addEventListener("submit", function (event) {
+      event.preventDefault();
+      var user = username.value;
+      var pass = password.value;
+
+      if (!user) {
+        showError("Epic sadface: Username is required");
+        return;
+      }
+      if (!pass) {
+        showError("Epic sadface: Password is required");
+        return;
+      }
+      if (USERS.indexOf(user) === -1 || pass !== PASSWORD) {
+        showError(
+          "Epic sadface: Username and password do not match any user in this service"
+        );
+        return;
+      }
+      if (user === "locked_out_user") {
+        showError("Epic sadface: Sorry, this user has been locked out.");
+        return;
+      }
+
+      setCookie(SESSION_COOKIE, user);
+      var delay = user === "performance_glitch_user" ? PERFORMANCE_GLITCH_DELAY : 0;
+      window.setTimeout(function () {
+        window.location.href = "/inventory.html";
+      }, delay);
+    });
+  }
+
+  function renderInventoryPage() {
+    var sortSelect =
+      '<div class="right_component"><span class="select_container">' +
+      '<span class="active_option" data-test="active-option">' +
+      SORT_OPTIONS[0].label +
+      "</span>" +
+      '<select class="product_sort_container" data-test="product-sort-container">' +
+      SORT_OPTIONS.map(function (option) {
+        return (
+          '<option value="' + option.value + '">' + option.label + "</option>"
+        );
+      }).join("") +
+      "</select></span></div>";
+
+    renderLayout(
+      "Products",
+      sortSelect,
+      '<div id="inventory_container" class="inventory_container" data-test="inventory-container">' +
+        '<div class="inventory_list" data-test="inventory-list"></div>' +
+        "</div>"
+    );
+
+    var list = root.querySelector(".inventory_list");
+    var select = root.querySelector(".product_sort_container");
+    var activeOption = root.querySelector(".active_option");
+    var products = [];
+    var user = currentUser();
+
+    function sortProducts(items, order) {
+      var sorted = items.slice().sort(function (a, b) {
+        return a.name.localeCompare(b.name);
+      });
+      if (order === "za") {
+        sorted.reverse();
+      } else if (order === "lohi") {
+        sorted.sort(function (a, b) {
+          return a.price - b.price;
+        });
+      } else if (order === "hilo") {
+        sorted.sort(function (a, b) {
+          return b.price - a.price;
+        });
+      }
+      return sorted;
+    }
+
+    function itemMarkup(product, index, all) {
+      var slug = slugify(product.name);
+      var inCart = getCart().indexOf(product.id) !== -1;
+      var buttonId = (inCart ? "remove-" : "add-to-cart-") + slug;
+      var misaligned =
+        user === "visual_user" && index === all.length - 1
+          ? " btn_inventory_misaligned"
+          : "";
+
+      return (
+        '<div class="inventory_item" data-test="inventory-item">' +
+        '<div class="inventory_item_img">' +
+        '<a id="item_' + product.id + '_img_link" data-test="item-' + product.id + '-img-link" href="/inventory-item.html?id=' + product.id + '">' +
+        '<img alt="' + escapeHtml(product.name) + '" class="inventory_item_img" src="' + imageFor(product) + '" data-test="inventory-item-' + escapeHtml(slug) + '-img" />' +
+        "</a></div>" +
+        '<div class="inventory_item_description" data-test="inventory-item-description">' +
+        '<div class="inventory_item_label">' +
+        '<a id="item_' + product.id + '_title_link" data-test="item-' + product.id + '-title-link" href="/inventory-item.html?id=' + product.id + '">' +
+        '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + "</div>" +
+        "</a>" +
+        '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.description) + "</div>" +
+        "</div>" +
+        '<div class="pricebar">' +
+        '<div class="inventory_item_price" data-test="inventory-item-price">' + formatPrice(product.price) + "</div>" +
+        '<button class="btn ' + (inCart ? "btn_secondary" : "btn_primary") + " btn_small btn_inventory" + misaligned + '" ' +
+        'data-test="' + escapeHtml(buttonId) + '" id="' + escapeHtml(buttonId) + '" name="' + escapeHtml(buttonId) + '" data-product-id="' + product.id + '" type="button">' +
+        (inCart ? "Remove" : "Add to cart") +
+        "</button>" +
+        "</div>" +
+        "</div>" +
+        "</div>"
+      );
+    }
+
+    function renderList() {
+      var order = user === "problem_user" ? "az" : select.value;
+      var sorted = sortProducts(products, order);
+      list.innerHTML = sorted.map(itemMarkup).join("");
+    }
+
+    list.addEventListener("click", function (event) {
+      var button = event.target.closest("button[data-product-id]");
+      if (!button) {
+        return;
+      }
+      var id = Number(button.getAttribute("data-product-id"));
+      if (getCart().indexOf(id) !== -1) {
+        removeFromCart(id);
+      } else {
+        if (
+          user === "error_user" &&
+          ERROR_USER_BROKEN_PRODUCTS.indexOf(id) !== -1
+        ) {
+          throw new Error("Failed to add item to the cart.");
+        }
+        addToCart(id);
+      }
+      renderList();
+    });
+
+    select.addEventListener("change", function () {
+      activeOption.textContent =
+        select.options[select.selectedIndex].textContent;
+      if (user === "error_user") {
+        throw new Error(
+          "Sorting is broken! This error has been reported to Backtrace."
+        );
+      }
+      renderList();
+    });
+
+    document.addEventListener("app-state-reset", renderList);
+
+    fetchProducts()
+      .then(function (items) {
+        products = items;
+        renderList();
+      })
+      .catch(function () {
+        list.innerHTML =
+          '<div class="error-message-container error">' +
+          errorBanner("Epic sadface: Products could not be loaded.") +
+          "</div>";
+      });
+  }
+
+  function renderInventoryItemPage() {
+    var backButton =
+      '<button class="btn btn_secondary back btn_large inventory_details_back_button" data-test="back-to-products" id="back-to-products" name="back-to-products" type="button">Back to products</button>';
+
+    renderLayout(
+      "",
+      backButton,
+      '<div class="inventory_details" data-test="inventory-container"></div>'
+    );
+
+    document
+      .getElementById("back-to-products")
+      .addEventListener("click", function () {
+        window.location.href = "/inventory.html";
+      });
+
+    var container = root.querySelector(".inventory_details");
+    var id = Number(new URLSearchParams(window.location.search).get("id"));
+
+    function render(product) {
+      var inCart = getCart().indexOf(product.id) !== -1;
+      var buttonId = inCart ? "remove" : "add-to-cart";
+
+      container.innerHTML =
+        '<div class="inventory_details_container">' +
+        '<div class="inventory_details_img_container">' +
+        '<img alt="' + escapeHtml(product.name) + '" class="inventory_details_img" src="' + imageFor(product) + '" data-test="item-' + escapeHtml(slugify(product.name)) + '-img" />' +
+        "</div>" +
+        '<div class="inventory_details_desc_container">' +
+        '<div class="inventory_details_name large_size" data-test="inventory-item-name">' + escapeHtml(product.name) + "</div>" +
+        '<div class="inventory_details_desc large_size" data-test="inventory-item-desc">' + escapeHtml(product.description) + "</div>" +
+        '<div class="inventory_details_price" data-test="inventory-item-price">' + formatPrice(product.price) + "</div>" +
+        '<button class="btn ' + (inCart ? "btn_secondary" : "btn_primary") + ' btn_small btn_inventory" data-test="' + buttonId + '" id="' + buttonId + '" name="' + buttonId + '" type="button">' +
+        (inCart ? "Remove" : "Add to cart") +
+        "</button>" +
+        "</div>" +
+        "</div>";
+
+      document
+        .getElementById(buttonId)
+        .addEventListener("click", function () {
+          if (inCart) {
+            removeFromCart(product.id);
+          } else {
+            addToCart(product.id);
+          }
+          render(product);
+        });
+    }
+
+    fetchProducts()
+      .then(function (products) {
+        var product = products.find(function (item) {
+          return item.id === id;
+        });
+        if (!product) {
+          container.innerHTML =
+            '<div class="inventory_details_name large_size" data-test="inventory-item-name">ITEM NOT FOUND</div>';
+          return;
+        }
+        render(product);
+        document.addEventListener("app-state-reset", function () {
+          render(product);
+        });
+      })
+      .catch(function () {
+        container.innerHTML =
+          '<div class="error-message-container error">' +
+          errorBanner("Epic sadface: Product could not be loaded.") +
+          "</div>";
+      });
+  }
+
+  function cartItemMarkup(product, withRemoveButton) {
+    var slug = slugify(product.name);
+    var button = withRemoveButton
+      ? '<button class="btn btn_secondary btn_small cart_button" data-test="remove-' + escapeHtml(slug) + '" id="remove-' + escapeHtml(slug) + '" name="remove-' + escapeHtml(slug) + '" data-product-id="' + product.id + '" type="button">Remove</button>'
+      : "";
+
+    return (
+      '<div class="cart_item" data-test="inventory-item">' +
+      '<div class="cart_quantity" data-test="item-quantity">1</div>' +
+      '<div class="cart_item_label">' +
+      '<a id="item_' + product.id + '_title_link" data-test="item-' + product.id + '-title-link" href="/inventory-item.html?id=' + product.id + '">' +
+      '<div class="inventory_item_name" data-test="inventory-item-name">' + escapeHtml(product.name) + "</div>" +
+      "</a>" +
+      '<div class="inventory_item_desc" data-test="inventory-item-desc">' + escapeHtml(product.description) + "</div>" +
+      '<div class="item_pricebar" data-test="item-pricebar">' +
+      '<div class="inventory_item_price" data-test="inventory-item-price">' + formatPrice(product.price) + "</div>" +
+      button +
+      "</div>" +
+      "</div>" +
+      "</div>"
+    );
+  }
+
+  function cartListMarkup(products, withRemoveButton) {
+    return (
+      '<div class="cart_list" data-test="cart-list">' +
+      '<div class="cart_quantity_label" data-test="cart-quantity-label">QTY</div>' +
+      '<div class="cart_desc_label" data-test="cart-desc-label">Description</div>' +
+      products
+        .map(function (product) {
+          return cartItemMarkup(product, withRemoveButton);
+        })
+        .join("") +
+      "</div>"
+    );
+  }
+
+  function renderCartPage() {
+    renderLayout(
+      "Your Cart",
+      "",
+      '<div id="cart_contents_container" class="cart_contents_container" data-test="cart-contents-container">' +
+        '<div class="cart_items"></div>' +
+        '<div class="cart_footer">' +
+        '<button class="btn btn_secondary back btn_medium" data-test="continue-shopping" id="continue-shopping" name="continue-shopping" type="button">Continue Shopping</button>' +
+        '<button class="btn btn_action btn_medium checkout_button" data-test="checkout" id="checkout" name="checkout" type="button">Checkout</button>' +
+        "</div>" +
+        "</div>"
+    );
+
+    var items = root.querySelector(".cart_items");
+    var products = [];
+
+    function render() {
+      items.innerHTML = cartListMarkup(cartProducts(products), true);
+    }
+
+    items.addEventListener("click", function (event) {
+      var button = event.target.closest("button[data-product-id]");
+      if (!button) {
+        return;
+      }
+      removeFromCart(Number(button.getAttribute("data-product-id")));
+      render();
+    });
+
+    document
+      .getElementById("continue-shopping")
+      .addEventListener("click", function () {
+        window.location.href = "/inventory.html";
+      });
+    document.getElementById("checkout").addEventListener("click", function () {
+      window.location.href = "/checkout-step-one.html";
+    });
+    document.addEventListener("app-state-reset", render);
+
+    fetchProducts()
+      .then(function (items) {
+        products = items;
+        render();
+      })
+      .catch(function () {
+        items.innerHTML =
+          '<div class="error-message-container error">' +
+          errorBanner("Epic sadface: Cart could not be loaded.") +
+          "</div>";
+      });
+  }
+
+  function renderCheckoutStepOnePage() {
+    renderLayout(
+      "Checkout: Your Information",
+      "",
+      '<div id="checkout_info_container" class="checkout_info_container" data-test="checkout-info-container">' +
+        '<div class="checkout_info_wrapper"><form novalidate>' +
+        '<div class="checkout_info">' +
+        '<div class="form_group"><input class="input_error form_input" placeholder="First Name" type="text" data-test="firstName" id="first-name" name="firstName" autocorrect="off" autocapitalize="none" value="" /></div>' +
+        '<div class="form_group"><input class="input_error form_input" placeholder="Last Name" type="text" data-test="lastName" id="last-name" name="lastName" autocorrect="off" autocapitalize="none" value="" /></div>' +
+        '<div class="form_group"><input class="input_error form_input" placeholder="Zip/Postal Code" type="text" data-test="postalCode" id="postal-code" name="postalCode" autocorrect="off" autocapitalize="none" value="" /></div>' +
+        '<div class="error-message-container"></div>' +
+        "</div>" +
+        '<div class="checkout_buttons">' +
+        '<button class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel" type="button">Cancel</button>' +
+        '<input type="submit" class="submit-button btn btn_primary cart_button btn_action" data-test="continue" id="continue" name="continue" value="Continue" />' +
+        "</div>" +
+        "</form></div>" +
+        "</div>"
+    );
+
+    var form = root.querySelector("form");
+    var firstName = document.getElementById("first-name");
+    var lastName = document.getElementById("last-name");
+    var postalCode = document.getElementById("postal-code");
+    var errorContainer = root.querySelector(".error-message-container");
+    var inputs = [firstName, lastName, postalCode];
+
+    if (currentUser() === "problem_user") {
+      // problem_user: typing a last name overwrites the first name instead
+      lastName.addEventListener("input", function () {
+        firstName.value = lastName.value.slice(-1);
+        lastName.value = "";
+      });
+    }
+
+    function showError(message) {
+      errorContainer.className = "error-message-container error";
+      errorContainer.innerHTML = errorBanner(message);
+      inputs.forEach(function (input) {
+        input.classList.add("error");
+      });
+      errorContainer
+        .querySelector(".error-button")
+        .addEventListener("click", function () {
+          errorContainer.className = "error-message-container";
+          errorContainer.innerHTML = "";
+          inputs.forEach(function (input) {
+            input.classList.remove("error");
+          });
+        });
+    }
+
+    document.getElementById("cancel").addEventListener("click", function () {
+      window.location.href = "/cart.html";
+    });
+
+    form.addEventListener("submit", function (event) {
+      event.preventDefault();
+      if (!firstName.value) {
+        showError("Error: First Name is required");
+        return;
+      }
+      if (!lastName.value) {
+        showError("Error: Last Name is required");
+        return;
+      }
+      if (!postalCode.value) {
+        showError("Error: Postal Code is required");
+        return;
+      }
+      window.location.href = "/checkout-step-two.html";
+    });
+  }
+
+  function renderCheckoutStepTwoPage() {
+    renderLayout(
+      "Checkout: Overview",
+      "",
+      '<div id="checkout_summary_container" class="checkout_summary_container" data-test="checkout-summary-container"></div>'
+    );
+
+    var container = root.querySelector(".checkout_summary_container");
+    var user = currentUser();
+
+    function render(products) {
+      var items = cartProducts(products);
+      var itemTotal = items.reduce(function (sum, product) {
+        return sum + product.price;
+      }, 0);
+      var tax = Math.round(itemTotal * TAX_RATE * 100) / 100;
+      var total = Math.round((itemTotal + tax) * 100) / 100;
+
+      container.innerHTML =
+        cartListMarkup(items, false) +
+        '<div class="summary_info">' +
+        '<div class="summary_info_label" data-test="payment-info-label">Payment Information:</div>' +
+        '<div class="summary_value_label" data-test="payment-info-value">SauceCard #31337</div>' +
+        '<div class="summary_info_label" data-test="shipping-info-label">Shipping Information:</div>' +
+        '<div class="summary_value_label" data-test="shipping-info-value">Free Pony Express Delivery!</div>' +
+        '<div class="summary_info_label" data-test="total-info-label">Price Total</div>' +
+        '<div class="summary_subtotal_label" data-test="subtotal-label">Item total: ' + formatPrice(itemTotal) + "</div>" +
+        '<div class="summary_tax_label" data-test="tax-label">Tax: ' + formatPrice(tax) + "</div>" +
+        '<div class="summary_info_label summary_total_label" data-test="total-label">Total: ' + formatPrice(total) + "</div>" +
+        '<div class="error-message-container"></div>' +
+        '<div class="cart_footer">' +
+        '<button class="btn btn_secondary back btn_medium cart_cancel_link" data-test="cancel" id="cancel" name="cancel" type="button">Cancel</button>' +
+        '<button class="btn btn_action btn_medium cart_button" data-test="finish" id="finish" name="finish" type="button">Finish</button>' +
+        "</div>" +
+        "</div>";
+
+      document.getElementById("cancel").addEventListener("click", function () {
+        window.location.href = "/inventory.html";
+      });
+
+      document.getElementById("finish").addEventListener("click", function () {
+        if (user === "error_user") {
+          throw new Error("Failed to complete the order.");
+        }
+        fetchWithTimeout("/api/orders", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username: user, items: getCart() }),
+        })
+          .then(function (response) {
+            if (!response.ok) {
+              throw new Error("Order request failed with " + response.status);
+            }
+            setCart([]);
+            window.location.href = "/checkout-complete.html";
+          })
+          .catch(function () {
+            var errorContainer = container.querySelector(
+              ".error-message-container"
+            );
+            errorContainer.className = "error-message-container error";
+            errorContainer.innerHTML = errorBanner(
+              "Error: Your order could not be placed."
+            );
+          });
+      });
+    }
+
+    fetchProducts()
+      .then(render)
+      .catch(function () {
+        container.innerHTML =
+          '<div class="error-message-container error">' +
+          errorBanner("Epic sadface: Order summary could not be loaded.") +
+          "</div>";
+      });
+  }
+
+  function renderCheckoutCompletePage() {
+    renderLayout(
+      "Checkout: Complete!",
+      "",
+      '<div id="checkout_complete_container" class="checkout_complete_container" data-test="checkout-complete-container">' +
+        '<img alt="Pony Express" class="pony_express" data-test="pony-express" src="/img/pony-express.svg" />' +
+        '<h2 class="complete-header" data-test="complete-header">Thank you for your order!</h2>' +
+        '<div class="complete-text" data-test="complete-text">Your order has been dispatched, and will arrive just as fast as the pony can get there!</div>' +
+        '<button class="btn btn_primary btn_small" data-test="back-to-products" id="back-to-products" name="back-to-products" type="button">Back Home</button>' +
+        "</div>"
+    );
+
+    document
+      .getElementById("back-to-products")
+      .addEventListener("click", function () {
+        window.location.href = "/inventory.html";
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Router
+  // ---------------------------------------------------------------------------
+
+  var pages = {
+    login: renderLoginPage,
+    inventory: renderInventoryPage,
+    "inventory-item": renderInventoryItemPage,
+    cart: renderCartPage,
+    "checkout-step-one": renderCheckoutStepOnePage,
+    "checkout-step-two": renderCheckoutStepTwoPage,
+    "checkout-complete": renderCheckoutCompletePage,
+  };
+
+  var page = document.body.getAttribute("data-page");
+  if (page !== "login" && !requireLogin()) {
+    return;
+  }
+  pages[page]();
+})();
@@ -0,0 +1,291 @@
+// server.js - Local stand-in for the Swag Labs storefront (https://www.saucedemo.com)
+// Serves the static pages in ./public plus a small JSON API under /api so the
+// suite can run on machines without outbound network access.
+//
+// Standalone: `npm run mock:start` (PORT via MOCK_APP_PORT, default 3000)
+// From Cypress: started by setupNodeEvents for the "local" environment profile
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const catalog = require("./data/products");
+
+const PUBLIC_DIR = path.join(__dirname, "public");
+const DEFAULT_PORT = 3000;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".json": "application/json; charset=utf-8",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * Build a fresh in-memory data store
+ * @returns {{products: object[], orders: object[]}} Store seeded with the default catalog
+ */
+function createStore() {
+  return {
+    products: catalog.map((product) => ({ ...product })),
+    orders: [],
+  };
+}
+
+/**
+ * Replace the store contents in place, so the server keeps its reference
+ * @param {object} store - In-memory data store
+ * @param {{products?: object[], orders?: object[]}} data - New contents; omitted keys are reset
+ */
+function replaceStore(store, { products, orders } = {}) {
+  const defaults = createStore();
+  store.products = Array.isArray(products) ? products : defaults.products;
+  store.orders = Array.isArray(orders) ? orders : defaults.orders;
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} statusCode - HTTP status code
+ * @param {any} body - Value to serialize
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    "Content-Type": CONTENT_TYPES[".json"],
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<object>} Parsed body, or an empty object when there is none;
+ *   rejects when the body is not valid JSON or not an object (e.g. null or an array)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(new Error("Request body is not a JSON object"));
+        return;
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Handle requests under /api
+ * @param {object} store - In-memory data store
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request path
+ */
+async function handleApi(store, req, res, pathname) {
+  const route = pathname.replace(/^\/api/, "") || "/";
+
+  if (req.method === "GET" && route === "/health") {
+    sendJson(res, 200, { status: "ok" });
+    return;
+  }
+
+  // Test data hooks used by the resetTestData / seedTestData Cypress tasks
+  if (req.method === "POST" && route === "/test-data/reset") {
+    replaceStore(store);
+    sendJson(res, 200, store);
+    return;
+  }
+
+  if (req.method === "POST" && route === "/test-data/seed") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      sendJson(res, 400, { error: "Request body must be a JSON object" });
+      return;
+    }
+    replaceStore(store, body);
+    sendJson(res, 200, store);
+    return;
+  }
+
+  if (req.method === "GET" && route === "/products") {
+    sendJson(res, 200, store.products);
+    return;
+  }
+
+  const productMatch = route.match(/^\/products\/(\d+)$/);
+  if (req.method === "GET" && productMatch) {
+    const product = store.products.find(
+      (item) => item.id === Number(productMatch[1])
+    );
+    if (product) {
+      sendJson(res, 200, product);
+    } else {
+      sendJson(res, 404, { error: `Product ${productMatch[1]} not found` });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && route === "/orders") {
+    sendJson(res, 200, store.orders);
+    return;
+  }
+
+  if (req.method === "POST" && route === "/orders") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      sendJson(res, 400, { error: "Request body must be a JSON object" });
+      return;
+    }
+    const order = {
+      id: store.orders.length + 1,
+      username: body.username || null,
+      items: Array.isArray(body.items) ? body.items : [],
+      createdAt: new Date().toISOString(),
+    };
+    store.orders.push(order);
+    sendJson(res, 201, order);
+    return;
+  }
+
+  sendJson(res, 404, { error: `No route for ${req.method} ${pathname}` });
+}
+
+/**
+ * Serve a file from the public directory
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request path
+ */
+function serveStatic(res, pathname) {
+  const relativePath = pathname === "/" ? "index.html" : pathname.slice(1);
+  const filePath = path.normalize(path.join(PUBLIC_DIR, relativePath));
+
+  // Refuse anything that resolves outside the public directory
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+    res.writeHead(403);
+    res.end("Forbidden");
+    return;
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(`Not found: ${pathname}`);
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+    });
+    res.end(content);
+  });
+}
+
+/**
+ * Create (but do not start) the mock storefront server
+ * @returns {http.Server} Server with its data store attached as `server.store`
+ */
+function createMockServer() {
+  const store = createStore();
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/api" || pathname.startsWith("/api/")) {
+      handleApi(store, req, res, pathname).catch((err) => {
+        sendJson(res, 500, { error: err.message });
+      });
+      return;
+    }
+
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(pathname);
+    } catch (err) {
+      // Malformed percent-escape, e.g. /%E0%A4%A
+      res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(`Bad request: ${pathname}`);
+      return;
+    }
+    serveStatic(res, decodedPath);
+  });
+
+  server.store = store;
+  return server;
+}
+
+let runningApp = null;
+
+/**
+ * Start the mock storefront, reusing the running instance if there is one
+ * @param {object} options - Start options
+ * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} options.host - Host to bind (default: all interfaces)
+ * @returns {Promise<{url: string, server: http.Server, close: Function}>} Running app
+ */
+function startMockApp({ port = DEFAULT_PORT, host } = {}) {
+  if (runningApp) {
+    return Promise.resolve(runningApp);
+  }
+
+  const server = createMockServer();
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.removeListener("error", reject);
+      runningApp = {
+        url: `http://localhost:${server.address().port}`,
+        server,
+        close: () => stopMockApp(),
+      };
+      resolve(runningApp);
+    });
+  });
+}
+
+/**
+ * Stop the running mock storefront, if any
+ * @returns {Promise<void>}
+ */
+function stopMockApp() {
+  if (!runningApp) {
+    return Promise.resolve();
+  }
+  const { server } = runningApp;
+  runningApp = null;
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+module.exports = { createMockServer, startMockApp, stopMockApp };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_APP_PORT) || DEFAULT_PORT;
+  startMockApp({ port })
+    .then(({ url }) => console.log(`Swag Labs mock app listening on ${url}`))
+    .catch((err) => {
+      console.error(`Could not start mock app: ${err.message}`);
+      process.exit(1);
+    });
+}
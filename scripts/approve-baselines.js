@@ -0,0 +1,22 @@
+// approve-baselines.js - Promote screenshots from the last run to visual baselines
+//
+//   npm run visual:approve                          approve everything pending
+//   npm run visual:approve -- electron/inventory    only keys starting with a prefix
+//
+// Pending screenshots are the ones a compareSnapshot call reported as "missing"
+// or "changed"; review cypress/visual/actual and cypress/visual/diff first.
+
+const path = require("path");
+const { approveBaselines } = require("../cypress/plugins/visualDiff");
+
+const projectRoot = path.join(__dirname, "..");
+const approved = approveBaselines(projectRoot, process.argv.slice(2));
+
+if (approved.length === 0) {
+  console.log("No pending screenshots to approve.");
+} else {
+  approved.forEach((key) => console.log(`Approved ${key}`));
+  console.log(
+    `${approved.length} baseline(s) updated in cypress/visual/baselines`
+  );
+}
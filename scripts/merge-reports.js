@@ -0,0 +1,26 @@
+// merge-reports.js - Rebuild the merged mochawesome report, JUnit XML and run dashboard
+//
+//   npm run report:merge
+//
+// `cypress run` already does this when it finishes; use this after copying in
+// report files from another machine or to regenerate after a crash.
+
+const path = require("path");
+const { generateReports } = require("../cypress/plugins/reporting");
+
+const projectRoot = path.join(__dirname, "..");
+
+generateReports(projectRoot)
+  .then(({ merged, junit, dashboard }) => {
+    if (merged) {
+      console.log(`Merged report: ${path.relative(projectRoot, merged)}`);
+    } else {
+      console.log("No mochawesome JSON found in cypress/reports/mochawesome.");
+    }
+    console.log(`JUnit files updated: ${junit.length}`);
+    console.log(`Dashboard: ${path.relative(projectRoot, dashboard)}`);
+  })
+  .catch((err) => {
+    console.error(`Could not build reports: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,226 @@
+// run-parallel.js - Run the specs in parallel Cypress processes, no Cypress Cloud
+//
+//   npm run test:parallel                              2 workers on this machine
+//   npm run test:parallel -- --workers 4
+//   npm run test:parallel -- --shard 2/3               only this CI job's shard
+//   npm run test:parallel -- --dry-run                 print the split and exit
+//   npm run test:parallel -- -- --env grepTags=@smoke  extra `cypress run` args
+//
+// Specs are split by the durations in cypress/spec-durations.json (see
+// cypress/plugins/sharding.js). With --shard (or SHARD=<index>/<total>) the
+// specs are first split into <total> shards and only shard <index> runs; its
+// specs are then spread over the local workers. Every worker writes into the
+// same report and artifact folders, and when all have finished the reports are
+// merged into one (cypress/reports/dashboard.html), the durations updated, the
+// workers' test outcomes added to the flaky history as a single run, and their
+// performance timings, a11y audits and healed Locators merged into one report
+// each.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { spawn } = require("child_process");
+const {
+  DURATIONS_FILE,
+  findSpecs,
+  parseShard,
+  readDurations,
+  recordDurations,
+  splitSpecs,
+} = require("../cypress/plugins/sharding");
+const {
+  clearReports,
+  generateReports,
+  mergeWorkerReports,
+  readSpecResults,
+} = require("../cypress/plugins/reporting");
+const {
+  formatSummary,
+  readSavedOutcomes,
+  recordHistory,
+  scoreHistory,
+} = require("../cypress/plugins/flaky");
+const {
+  formatDriftSummary,
+  selectorHealingSettings,
+  writeDriftReport,
+} = require("../cypress/plugins/selectorDrift");
+const {
+  isVisualSpec,
+  visualSpecsEnabled,
+} = require("../cypress/plugins/visualDiff");
+
+const projectRoot = path.join(__dirname, "..");
+
+// Folders Cypress normally empties itself; workers must not wipe each other's
+const ARTIFACT_FOLDERS = [
+  "cypress/screenshots",
+  "cypress/videos",
+  "cypress/diagnostics",
+];
+
+function parseArgs(argv) {
+  const separator = argv.indexOf("--");
+  const own = separator === -1 ? argv : argv.slice(0, separator);
+  const options = {
+    workers: 2,
+    shard: process.env.SHARD || null,
+    dryRun: false,
+    cypressArgs: separator === -1 ? [] : argv.slice(separator + 1),
+  };
+
+  for (let i = 0; i < own.length; i += 1) {
+    if (own[i] === "--workers") {
+      options.workers = Number(own[(i += 1)]);
+    } else if (own[i] === "--shard") {
+      options.shard = own[(i += 1)];
+    } else if (own[i] === "--dry-run") {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option "${own[i]}"`);
+    }
+  }
+
+  if (!Number.isInteger(options.workers) || options.workers < 1) {
+    throw new Error("--workers needs a positive whole number");
+  }
+  return options;
+}
+
+// Cypress env values passed through to the workers (--env a=1,b=2 or -e a=1)
+function cypressEnv(cypressArgs) {
+  const env = {};
+  cypressArgs.forEach((arg, i) => {
+    if (arg !== "--env" && arg !== "-e") {
+      return;
+    }
+    String(cypressArgs[i + 1] || "")
+      .split(",")
+      .forEach((pair) => {
+        const [key, ...value] = pair.split("=");
+        if (key) {
+          env[key] = value.join("=");
+        }
+      });
+  });
+  return env;
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function runWorker(worker, specs, cypressArgs) {
+  const npx = process.platform === "win32" ? "npx.cmd" : "npx";
+  const child = spawn(
+    npx,
+    ["cypress", "run", "--spec", specs.join(","), ...cypressArgs],
+    {
+      cwd: projectRoot,
+      env: {
+        ...process.env,
+        CYPRESS_PARALLEL_WORKER: String(worker),
+        CYPRESS_trashAssetsBeforeRuns: "false",
+        MOCK_APP_PORT: "0",
+      },
+    }
+  );
+
+  [child.stdout, child.stderr].forEach((stream) =>
+    readline
+      .createInterface({ input: stream })
+      .on("line", (line) => console.log(`[w${worker}] ${line}`))
+  );
+
+  return new Promise((resolve) => {
+    child.on("error", (err) => {
+      console.error(`[w${worker}] Could not start Cypress: ${err.message}`);
+      resolve(1);
+    });
+    child.on("close", (code) => resolve(code === null ? 1 : code));
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const durations = readDurations(projectRoot);
+  const env = cypressEnv(options.cypressArgs);
+  // Same rule as registerVisualSpecs: visual specs only with VISUAL=true
+  let specs = findSpecs(projectRoot).filter(
+    (spec) => visualSpecsEnabled(env) || !isVisualSpec(spec)
+  );
+
+  if (options.shard) {
+    const { index, total } = parseShard(options.shard);
+    specs = splitSpecs(specs, durations, total)[index - 1].specs;
+    console.log(`Shard ${index}/${total}: ${specs.length} spec(s)`);
+  }
+
+  const workers = splitSpecs(specs, durations, options.workers).filter(
+    (shard) => shard.specs.length > 0
+  );
+  workers.forEach((shard, i) =>
+    console.log(
+      `Worker ${i + 1} (~${formatSeconds(shard.estimate)}): ${shard.specs.join(", ")}`
+    )
+  );
+
+  if (options.dryRun || workers.length === 0) {
+    return 0;
+  }
+
+  clearReports(projectRoot);
+  ARTIFACT_FOLDERS.forEach((folder) =>
+    fs.rmSync(path.join(projectRoot, folder), { recursive: true, force: true })
+  );
+
+  const codes = await Promise.all(
+    workers.map((shard, i) =>
+      runWorker(i + 1, shard.specs, options.cypressArgs)
+    )
+  );
+
+  const { dashboard } = await generateReports(projectRoot);
+  recordDurations(projectRoot, readSpecResults(projectRoot));
+  // Workers only save their outcomes; the history gets the run as one entry
+  const flaky = readSavedOutcomes(projectRoot);
+  const history =
+    flaky.outcomes.length > 0
+      ? recordHistory(projectRoot, flaky.outcomes, flaky.settings)
+      : null;
+  const drift = writeDriftReport(projectRoot);
+  mergeWorkerReports(projectRoot, "performance", "timings", "timings");
+  mergeWorkerReports(projectRoot, "a11y", "a11y", "audits");
+
+  console.log("");
+  codes.forEach((code, i) =>
+    console.log(
+      `Worker ${i + 1}: ${code === 0 ? "passed" : `exit code ${code}`}`
+    )
+  );
+  console.log(`Run dashboard: ${path.relative(projectRoot, dashboard)}`);
+  console.log(`Spec durations: ${DURATIONS_FILE}`);
+  if (history) {
+    console.log(
+      formatSummary(
+        flaky.outcomes,
+        scoreHistory(history, flaky.settings),
+        flaky.settings
+      )
+    );
+  }
+  console.log(
+    formatDriftSummary(drift, selectorHealingSettings({ env }), projectRoot)
+  );
+
+  return codes.some((code) => code !== 0) ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(`Parallel run failed: ${err.message}`);
+    process.exit(1);
+  });